@@ -1,18 +1,35 @@
 // ========== INITIALIZATION ==========
-const socket = io('https://ahdboard.onrender.com', {
+// Everything talks to the server this page was loaded from (socket, /upload, /uploads)
+const socket = io({
     transports: ['websocket', 'polling'],
     reconnection: true,
     reconnectionDelay: 1000,
     reconnectionAttempts: 5
 });
 const canvas = document.getElementById('paper');
-const ctx = canvas.getContext('2d');
+let ctx = canvas.getContext('2d'); // Swapped for an offscreen context while rendering a PNG (see renderElementsToPng)
 const container = document.getElementById('canvas-container');
 const colorPicker = document.getElementById('colorPicker');
 const colorPreview = document.getElementById('colorPreview');
 
-let currentRoom = 1;
-let paths = [];
+// Settings from the server's /config.json - these defaults apply until it has loaded
+let appConfig = {
+    publicUrl: '',                  // Base URL for share links, if it differs from this page's origin
+    maxUploadBytes: 50 * 1024 * 1024,
+    imageVariantSizes: [256, 1024]
+};
+
+fetch('/config.json')
+    .then(response => response.json())
+    .then(config => {
+        appConfig = { ...appConfig, ...config };
+    })
+    .catch(error => console.warn('Could not load /config.json, using defaults:', error));
+
+const DEFAULT_ROOM = '1';
+let currentRoom = getRoomFromUrl();
+let board = BoardModel.createBoard(); // Replicated board state (see board-model.js)
+let paths = []; // Visible elements of the board in z-order - derived from board, never edited directly
 let highlighterPaths = []; // Separate array for temporary highlighter marks
 let laserPaths = []; // Temporary laser pointer paths
 let currentPath = null;
@@ -25,6 +42,30 @@ let animationSpeed = 1.0; // Animation speed multiplier (1.0 = normal)
 let enableAnimation = true; // Keep animations enabled, just optimize them
 let offset = { x: 0, y: 0 };
 
+// ========== ROOMS ==========
+// Boards live under /r/:roomId. The plain start page opens the original shared board.
+
+function getRoomFromUrl() {
+    const match = window.location.pathname.match(/^\/r\/([A-Za-z0-9_-]{1,64})\/?$/);
+    if (match) return match[1];
+
+    history.replaceState(null, '', '/r/' + DEFAULT_ROOM);
+    return DEFAULT_ROOM;
+}
+
+function createRoomId() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+function switchRoom(roomId) {
+    if (roomId === currentRoom) return;
+    window.location.href = '/r/' + encodeURIComponent(roomId);
+}
+
+function createNewBoard() {
+    switchRoom(createRoomId());
+}
+
 // Detect mobile devices
 function isMobileDevice() {
     return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
@@ -36,7 +77,8 @@ let unreadCount = 0;
 let dpr = window.devicePixelRatio || 1;
 
 // Image manipulation
-let selectedImage = null;
+let selectedImageId = null; // id of the selected image element
+let selectedIds = []; // ids of the elements picked with the selection tool
 let isDraggingImage = false;
 let isResizingImage = false;
 let isErasing = false;
@@ -50,7 +92,7 @@ let touchStartPos = { x: 0, y: 0 };
 
 // Ping Pong paddle dragging
 let isDraggingPaddle = false;
-let draggedPaddleGame = null;
+let draggedPaddleGameId = null; // id of the game whose paddle is dragged
 let draggedPaddleSide = null; // 'left' or 'right'
 
 // Multi-touch
@@ -59,9 +101,6 @@ let touches = [];
 // Eraser cursor
 let eraserCursor = null;
 
-// Track if we're the one sending updates
-let isLocalUpdate = false;
-
 // Apple Pencil detection
 let isApplePencil = false;
 
@@ -70,67 +109,209 @@ let renderScheduled = false;
 let lastRenderTime = 0;
 const minRenderInterval = isMobileDevice() ? 32 : 16; // 30fps mobile, 60fps desktop
 
-socket.emit('join_room', currentRoom);
+// Identifies this tab in operation stamps. Not socket.id - that changes on reconnect.
+const siteId = Math.random().toString(36).slice(2, 10);
 
-// ========== SOCKET EVENTS (Must be after join_room) ==========
-socket.on('canvas_data', (data) => {
-    console.log('📥 Received canvas_data with', data.length, 'elements');
+// ========== IDENTITY & PRESENCE ==========
+const USER_COLORS = ['#0095f6', '#ed4956', '#8a3ab9', '#58c322', '#ff9500', '#00b4a0', '#e1306c', '#5851db'];
 
-    if (isLocalUpdate) {
-        console.log('   🔒 Ignoring own update');
-        return;
+// Identifies this participant across reloads (chat and element authorship).
+// Unlike siteId it is shared by all tabs of the same browser.
+const clientId = loadStoredValue('clientId') || Math.random().toString(36).slice(2, 12);
+saveStoredValue('clientId', clientId);
+
+const storedProfile = readStoredProfile();
+let userProfile = storedProfile || {
+    name: 'Gast ' + Math.floor(100 + Math.random() * 900),
+    color: USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)]
+};
+
+let onlineUsers = {}; // sessionId -> { sessionId, id, name, color }
+let knownUsers = {}; // clientId -> { name, color } - also remembers people who already left
+
+// localStorage is not available everywhere (private mode, embedded views)
+function loadStoredValue(key) {
+    try {
+        return localStorage.getItem('adhdboard.' + key);
+    } catch (error) {
+        return null;
+    }
+}
+
+// The saved profile, or null if there is none or it cannot be used any more
+function readStoredProfile() {
+    try {
+        const profile = JSON.parse(loadStoredValue('profile'));
+        if (profile && typeof profile.name === 'string' && typeof profile.color === 'string') {
+            return profile;
+        }
+    } catch (error) {
+        console.warn('Ignoring corrupt stored profile');
+    }
+    return null;
+}
+
+function saveStoredValue(key, value) {
+    try {
+        localStorage.setItem('adhdboard.' + key, value);
+    } catch (error) {
+        console.warn('Could not store', key);
     }
+}
 
-    console.log('   🌐 Applying remote update');
+function getUserInfo() {
+    return { id: clientId, name: userProfile.name, color: userProfile.color };
+}
+
+function rememberUser(id, name, color) {
+    if (id && name) knownUsers[id] = { name: name, color: color };
+}
+
+function getUserName(id) {
+    if (id === clientId) return userProfile.name;
+    return knownUsers[id] ? knownUsers[id].name : null;
+}
+
+// (Re-)join on every connect so the room is reloaded after a server restart
+socket.on('connect', () => {
+    socket.emit('join_room', { roomId: currentRoom, user: getUserInfo() });
+});
+
+// ========== SOCKET EVENTS (Must be after join_room) ==========
+socket.on('canvas_data', (data) => {
+    board = BoardModel.fromJSON(data);
+    refreshPaths();
+    console.log('📥 Received canvas_data with', paths.length, 'elements');
 
     // Count and log element types for debugging
     const types = {};
-    data.forEach((el, index) => {
+    paths.forEach((el) => {
         types[el.type] = (types[el.type] || 0) + 1;
         if (el.type === 'game') {
             console.log('   🎮 Game found:', el.gameType, 'at', el.x, el.y);
 
             // Start Ping Pong game loop if needed
-            if (el.gameType === 'pingpong' && el.gameStarted && !el.winner && !pingPongLoops[index]) {
-                startPingPongLoop(index);
+            if (el.gameType === 'pingpong' && el.gameStarted && !el.winner && !pingPongLoops[el.id]) {
+                startPingPongLoop(el.id);
             }
         }
     });
     console.log('   📊 Element types:', types);
 
-    paths = data;
-
     if (!isDraggingImage && !isResizingImage) {
-        selectedImage = null;
+        selectedImageId = null;
     }
 
     render();
 });
 
-socket.on('element_received', (el) => {
-    console.log('📥 Received new element:', el.type);
+// Elements of another user - one or a batch (paste, duplicate)
+socket.on('element_add', ({ ops }) => {
+    console.log('📥 Received', ops.length, 'new elements');
+    ops.forEach(({ element, stamp }) => {
+        applyRemoteOp({ type: 'add', element: element, stamp: stamp });
+
+        const el = getElementById(element.id);
+        if (!el) return; // Already deleted by a newer operation
+
+        // Only animate single strokes on desktop for performance
+        if (enableAnimation && ops.length === 1 && el.type === 'line' && el.points && el.points.length > 1) {
+            // Animate drawing for line paths
+            console.log('🎬 Starting animated playback with', el.points.length, 'points');
+            animateDrawing(el);
+        } else if (el.type === 'game' && el.gameType === 'pingpong' && el.gameStarted && !el.winner) {
+            // Start Ping Pong game loop if it's a new ping pong game
+            startPingPongLoop(el.id);
+        }
+    });
+    render();
+});
 
-    // Only animate on desktop for performance
-    if (enableAnimation && el.type === 'line' && el.points && el.points.length > 1) {
-        // Animate drawing for line paths
-        console.log('🎬 Starting animated playback with', el.points.length, 'points');
-        animateDrawing(el);
-    } else {
-        // No animation - just add immediately
-        const newIndex = paths.length;
-        paths.push(el);
+// The server rejected one of our payloads. Our board may now contain an element
+// nobody else has, so element changes reload the board from the server.
+let quotaAlertShown = false;
 
-        // Start Ping Pong game loop if it's a new ping pong game
-        if (el.type === 'game' && el.gameType === 'pingpong' && el.gameStarted && !el.winner) {
-            startPingPongLoop(newIndex);
-        }
+socket.on('error', ({ event, code, message }) => {
+    console.warn('⚠️ Server rejected', event, '-', code + ':', message);
+    if (code === 'quota_exceeded' && !quotaAlertShown) {
+        quotaAlertShown = true;
+        alert('Dieses Board ist voll. Lösche alte Inhalte oder starte ein neues Board.');
+    }
+    if (isBoardEvent(event)) {
+        scheduleBoardReload(0);
+    }
+});
 
-        render();
+// The server dropped events because we sent too many in a short time. Dropped
+// element changes are lost for good, so the board is reloaded once the limit allows
+// it again. Game moves are not: the next frame carries their full state anyway.
+socket.on('warning', ({ event, code, retryAfter }) => {
+    console.warn('🚦 Server throttled', event, '-', code + ', retry in', retryAfter, 'ms');
+    if (isBoardEvent(event) && event !== 'game_move') {
+        scheduleBoardReload(retryAfter);
+    } else if (event === 'chat_message') {
+        addMessageToUI('System', 'Zu viele Nachrichten - bitte kurz warten.', 'msg-remote');
+    }
+});
+
+function isBoardEvent(event) {
+    return event.startsWith('element_') || event.startsWith('stroke_') || event === 'game_move';
+}
+
+// The server sends its board again (canvas_data), replacing our diverged copy
+let boardReloadTimeout = null;
+
+function scheduleBoardReload(delay) {
+    if (boardReloadTimeout) return;
+    boardReloadTimeout = setTimeout(() => {
+        boardReloadTimeout = null;
+        socket.emit('request_board');
+    }, delay);
+}
+
+// Strokes of other participants while they are being drawn
+socket.on('stroke_begin', ({ sessionId, stroke }) => {
+    remoteStrokes[stroke.id] = { ...stroke, sessionId: sessionId };
+    scheduleRender();
+});
+
+socket.on('stroke_points', ({ id, points }) => {
+    const stroke = remoteStrokes[id];
+    if (!stroke) return; // Joined in the middle of the stroke - wait for stroke_end
+    stroke.points.push(...points);
+    scheduleRender();
+});
+
+// The finished element replaces the provisional stroke in one step.
+// Without an element the stroke was cancelled.
+socket.on('stroke_end', ({ id, element, stamp }) => {
+    delete remoteStrokes[id];
+    if (element) {
+        applyRemoteOp({ type: 'add', element: element, stamp: stamp });
     }
+    render();
+});
+
+socket.on('element_update', ({ ops }) => {
+    ops.forEach(({ id, patch, stamp }) => {
+        applyRemoteOp({ type: 'update', id: id, patch: patch, stamp: stamp });
+
+        const el = getElementById(id);
+        if (el && ('data' in patch || 'variants' in patch)) {
+            delete el._images; // Image source changed - reload on next render
+        }
+    });
+    render();
+});
+
+socket.on('element_delete', ({ ids, stamp }) => {
+    console.log('📥 Received delete for', ids.length, 'elements');
+    applyRemoteOp({ type: 'delete', ids: ids, stamp: stamp });
+    render();
 });
 
 // ========== ANIMATED DRAWING PLAYBACK ==========
-let currentlyAnimating = []; // Track which paths are currently animating
+let currentlyAnimating = []; // Ids of paths that are currently animating
 
 // ========== SHAPE RECOGNITION ==========
 function recognizeShape(path) {
@@ -138,6 +319,14 @@ function recognizeShape(path) {
         return null; // Too few points
     }
 
+    // Detect arrows before lines - a shaft alone would pass as a line
+    const arrow = recognizeArrow(path.points);
+    if (arrow) {
+        console.log('➡️ Detected: ARROW');
+        return createArrow(arrow.start, arrow.end, { routing: 'straight', startHead: 'none', endHead: 'arrow' },
+            path.color, path.brushSize);
+    }
+
     const points = path.points;
     const firstPoint = points[0];
     const lastPoint = points[points.length - 1];
@@ -239,6 +428,40 @@ function recognizeShape(path) {
     return null;
 }
 
+// A hand-drawn arrow is a straight shaft and a head that goes back from the tip to
+// one or both sides. Returns the shaft's { start, end } or null.
+function recognizeArrow(points) {
+    const first = points[0];
+    // The tip is the point farthest from where the stroke started
+    let tipIndex = 0;
+    let length = 0;
+    points.forEach((pt, i) => {
+        const distance = Math.hypot(pt.x - first.x, pt.y - first.y);
+        if (distance > length) {
+            length = distance;
+            tipIndex = i;
+        }
+    });
+    const shaft = points.slice(0, tipIndex + 1);
+    const head = points.slice(tipIndex);
+    if (length < 60 || shaft.length < 5 || head.length < 4 || !isLineShape(shaft)) return null;
+
+    const tip = points[tipIndex];
+    const ux = (tip.x - first.x) / length;
+    const uy = (tip.y - first.y) / length;
+    let back = 0;
+    let barb = 0;
+    for (const pt of head) {
+        const dx = pt.x - tip.x;
+        const dy = pt.y - tip.y;
+        if (Math.hypot(dx, dy) > length * 0.5) return null; // Too big for a head
+        back = Math.max(back, -(dx * ux + dy * uy));
+        barb = Math.max(barb, Math.abs(dx * uy - dy * ux));
+    }
+    if (back < 10 || barb < 8 || barb > back * 3) return null;
+    return { start: first, end: tip };
+}
+
 function isLineShape(points) {
     if (points.length < 5) return true;
 
@@ -419,17 +642,10 @@ function findCorners(points, expectedCorners) {
 }
 
 function animateDrawing(element) {
-    const animatedPath = {
-        ...element,
-        points: [], // Start with empty points
-        _isAnimating: true,
-        _animationProgress: 0
-    };
-
-    // Add to paths array and animation tracker
-    const pathIndex = paths.length;
-    paths.push(animatedPath);
-    currentlyAnimating.push(pathIndex);
+    // The element is already on the board - only reveal its points gradually
+    element._isAnimating = true;
+    element._visiblePoints = 0;
+    currentlyAnimating.push(element.id);
 
     const totalPoints = element.points.length;
     const baseDuration = 500; // Faster: 0.5 seconds (was 0.8)
@@ -440,27 +656,18 @@ function animateDrawing(element) {
     const totalFrames = (animationDuration / 1000) * targetFrameRate;
     const pointsPerFrame = Math.max(2, Math.ceil(totalPoints / totalFrames)); // Min 2 points/frame
 
-    let currentIndex = 0;
-    const startTime = Date.now();
-
     function addNextPoints() {
-        if (currentIndex >= totalPoints) {
+        if (element._visiblePoints >= totalPoints) {
             // Animation complete
-            animatedPath._isAnimating = false;
-            currentlyAnimating = currentlyAnimating.filter(i => i !== pathIndex);
+            element._isAnimating = false;
+            currentlyAnimating = currentlyAnimating.filter(id => id !== element.id);
             console.log('✅ Animation complete');
             render(); // Final render without cursor
             return;
         }
 
         // Add multiple points per frame for smoother animation
-        const endIndex = Math.min(currentIndex + pointsPerFrame, totalPoints);
-        for (let i = currentIndex; i < endIndex; i++) {
-            animatedPath.points.push(element.points[i]);
-        }
-
-        currentIndex = endIndex;
-        animatedPath._animationProgress = currentIndex / totalPoints;
+        element._visiblePoints = Math.min(element._visiblePoints + pointsPerFrame, totalPoints);
 
         render();
 
@@ -477,12 +684,51 @@ socket.on('chat_received', (data) => {
         unreadCount++;
         updateBadge();
     }
-    addMessageToUI('Anderer', data.text, 'msg-remote');
+    addChatMessage(data);
 });
 
 socket.on('chat_history', (history) => {
     document.getElementById('chat-messages').innerHTML = '';
-    history.forEach(msg => addMessageToUI('Anderer', msg.text, 'msg-remote'));
+    history.forEach(addChatMessage);
+});
+
+// Presence: full list on join, then join/leave/rename events
+socket.on('presence_list', (users) => {
+    onlineUsers = {};
+    users.forEach(user => {
+        onlineUsers[user.sessionId] = user;
+        rememberUser(user.id, user.name, user.color);
+    });
+    renderPresence();
+});
+
+socket.on('user_joined', (user) => {
+    console.log('👋 Joined:', user.name);
+    onlineUsers[user.sessionId] = user;
+    rememberUser(user.id, user.name, user.color);
+    renderPresence();
+});
+
+socket.on('user_updated', (user) => {
+    onlineUsers[user.sessionId] = user;
+    rememberUser(user.id, user.name, user.color);
+    renderPresence();
+});
+
+socket.on('user_left', ({ sessionId }) => {
+    delete onlineUsers[sessionId];
+    delete remoteCursors[sessionId];
+    Object.keys(remoteStrokes).forEach(id => {
+        if (remoteStrokes[id].sessionId === sessionId) delete remoteStrokes[id];
+    });
+    renderPresence();
+    render();
+});
+
+// Pointer positions of other participants (real-time, not stored)
+socket.on('cursor_moved', ({ sessionId, x, y }) => {
+    remoteCursors[sessionId] = { x: x, y: y, lastSeen: Date.now() };
+    scheduleRender();
 });
 
 // Receive laser pointer from other users
@@ -502,25 +748,28 @@ socket.on('background_updated', (background) => {
     render();
 });
 
+// Someone put the board back to an earlier revision - the new state comes as canvas_data
+socket.on('history_restored', ({ revision, by }) => {
+    console.log('📥 Board restored to revision', revision.id);
+    addMessageToUI('System', `${by || 'Jemand'} hat das Board auf den Stand vom ${new Date(revision.createdAt).toLocaleString()} zurückgesetzt.`, 'msg-remote');
+});
+
 // Receive game moves from other players
 socket.on('game_move_received', (data) => {
     console.log('🎮 Game move received from other player:', {
-        gameIndex: data.gameIndex,
+        gameId: data.gameId,
         currentPlayer: data.game.currentPlayer,
         board: data.game.board,
         winner: data.game.winner
     });
 
-    if (data.gameIndex !== undefined && paths[data.gameIndex]) {
-        // Update the game state completely
-        paths[data.gameIndex] = {
-            ...paths[data.gameIndex],
-            ...data.game
-        };
-        console.log('✅ Game state updated at index', data.gameIndex);
+    if (getElementById(data.gameId)) {
+        // Merge the changed game fields
+        applyRemoteOp({ type: 'update', id: data.gameId, patch: data.game, stamp: data.stamp });
+        console.log('✅ Game state updated for', data.gameId);
         render();
     } else {
-        console.error('❌ Could not find game at index', data.gameIndex);
+        console.error('❌ Could not find game', data.gameId);
     }
 });
 
@@ -591,6 +840,9 @@ function toggleBackgroundMenu() {
     const gamesMenu = document.getElementById('gamesMenu');
     brushMenu.style.display = 'none';
     gamesMenu.style.display = 'none';
+    document.getElementById('roomsMenu').style.display = 'none';
+    document.getElementById('peopleMenu').style.display = 'none';
+    document.getElementById('historyMenu').style.display = 'none';
     menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
 }
 
@@ -600,9 +852,309 @@ function toggleGamesMenu() {
     const bgMenu = document.getElementById('backgroundMenu');
     brushMenu.style.display = 'none';
     bgMenu.style.display = 'none';
+    document.getElementById('roomsMenu').style.display = 'none';
+    document.getElementById('peopleMenu').style.display = 'none';
+    document.getElementById('historyMenu').style.display = 'none';
+    menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+}
+
+function toggleRoomsMenu() {
+    const menu = document.getElementById('roomsMenu');
+    document.getElementById('brushSizeMenu').style.display = 'none';
+    document.getElementById('backgroundMenu').style.display = 'none';
+    document.getElementById('gamesMenu').style.display = 'none';
+    document.getElementById('peopleMenu').style.display = 'none';
+    document.getElementById('historyMenu').style.display = 'none';
+
+    if (menu.style.display === 'none') {
+        menu.style.display = 'block';
+        loadRoomList();
+    } else {
+        menu.style.display = 'none';
+    }
+}
+
+async function loadRoomList() {
+    document.getElementById('currentRoomId').textContent = currentRoom;
+    const list = document.getElementById('roomList');
+    list.innerHTML = '<div class="menu-hint">Lade Boards...</div>';
+
+    try {
+        const response = await fetch('/api/rooms');
+        const result = await response.json();
+
+        list.innerHTML = '';
+        result.rooms.forEach(room => {
+            const option = document.createElement('div');
+            option.className = 'room-option' + (room.id === currentRoom ? ' active' : '');
+            option.onclick = () => switchRoom(room.id);
+
+            const name = document.createElement('span');
+            name.className = 'room-name';
+            name.textContent = room.id;
+
+            const meta = document.createElement('span');
+            meta.className = 'room-meta';
+            meta.textContent = `${room.elements} Elemente · ${formatRelativeTime(room.lastActivity)}` +
+                (room.online > 0 ? ` · ${room.online} online` : '');
+
+            option.appendChild(name);
+            option.appendChild(meta);
+            list.appendChild(option);
+        });
+
+        if (result.rooms.length === 0) {
+            list.innerHTML = '<div class="menu-hint">Noch keine Boards</div>';
+        }
+    } catch (error) {
+        console.error('Could not load rooms:', error);
+        list.innerHTML = '<div class="menu-hint">Boards konnten nicht geladen werden</div>';
+    }
+}
+
+function formatRelativeTime(timestamp) {
+    if (!timestamp) return 'nie benutzt';
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'gerade eben';
+    if (minutes < 60) return `vor ${minutes} Min.`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `vor ${hours} Std.`;
+    return `vor ${Math.round(hours / 24)} Tagen`;
+}
+
+async function copyRoomLink() {
+    const link = (appConfig.publicUrl || window.location.origin) + '/r/' + encodeURIComponent(currentRoom);
+    try {
+        await navigator.clipboard.writeText(link);
+        document.getElementById('copyRoomLinkBtn').textContent = 'Kopiert ✓';
+    } catch (error) {
+        prompt('Link zum Teilen:', link);
+    }
+}
+
+function togglePeopleMenu() {
+    const menu = document.getElementById('peopleMenu');
+    document.getElementById('brushSizeMenu').style.display = 'none';
+    document.getElementById('backgroundMenu').style.display = 'none';
+    document.getElementById('gamesMenu').style.display = 'none';
+    document.getElementById('roomsMenu').style.display = 'none';
+    document.getElementById('historyMenu').style.display = 'none';
     menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
 }
 
+// ========== PROFILE & PRESENCE UI ==========
+function initProfileEditor() {
+    const nameInput = document.getElementById('profileName');
+    nameInput.value = userProfile.name;
+    nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim().slice(0, 32);
+        if (name) {
+            saveProfile({ name: name });
+        } else {
+            nameInput.value = userProfile.name;
+        }
+    });
+    nameInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') nameInput.blur();
+    });
+
+    const colors = document.getElementById('profileColors');
+    USER_COLORS.forEach(color => {
+        const swatch = document.createElement('button');
+        swatch.className = 'profile-color';
+        swatch.style.background = color;
+        swatch.dataset.color = color;
+        swatch.onclick = () => saveProfile({ color: color });
+        colors.appendChild(swatch);
+    });
+    updateProfileColors();
+
+    // First visit: let the user choose how others see them
+    if (!storedProfile) {
+        document.getElementById('peopleMenu').style.display = 'block';
+        nameInput.select();
+    }
+}
+
+function updateProfileColors() {
+    document.querySelectorAll('.profile-color').forEach(swatch => {
+        swatch.classList.toggle('active', swatch.dataset.color === userProfile.color);
+    });
+}
+
+function saveProfile(changes) {
+    userProfile = { ...userProfile, ...changes };
+    saveStoredValue('profile', JSON.stringify(userProfile));
+    updateProfileColors();
+    socket.emit('user_rename', { name: userProfile.name, color: userProfile.color });
+}
+
+// One row per participant - several tabs of the same person count once
+function renderPresence() {
+    const people = {};
+    Object.values(onlineUsers).forEach(user => {
+        people[user.id] = user;
+    });
+    const list = Object.values(people);
+
+    const count = document.getElementById('presenceCount');
+    count.textContent = list.length;
+    count.style.display = list.length > 1 ? 'flex' : 'none';
+
+    const container = document.getElementById('presenceList');
+    container.innerHTML = '';
+    list.forEach(user => {
+        const row = document.createElement('div');
+        row.className = 'presence-user';
+
+        const dot = document.createElement('span');
+        dot.className = 'presence-dot';
+        dot.style.background = user.color;
+
+        const name = document.createElement('span');
+        name.textContent = user.id === clientId ? `${user.name} (Du)` : user.name;
+
+        row.appendChild(dot);
+        row.appendChild(name);
+        container.appendChild(row);
+    });
+}
+
+// ========== HISTORY ==========
+const HISTORY_REASONS = {
+    auto: 'Automatisch gespeichert',
+    delete: 'Vor dem Löschen',
+    import: 'Vor dem Import',
+    restore: 'Vor dem Wiederherstellen',
+    manual: 'Wiederherstellungspunkt'
+};
+
+let historyPreview = null; // Revision shown instead of the board: { id, createdAt, name, reason, elements }
+
+function toggleHistoryMenu() {
+    const menu = document.getElementById('historyMenu');
+    document.getElementById('brushSizeMenu').style.display = 'none';
+    document.getElementById('backgroundMenu').style.display = 'none';
+    document.getElementById('gamesMenu').style.display = 'none';
+    document.getElementById('roomsMenu').style.display = 'none';
+    document.getElementById('peopleMenu').style.display = 'none';
+
+    if (menu.style.display === 'none') {
+        menu.style.display = 'block';
+        loadHistory();
+    } else {
+        menu.style.display = 'none';
+    }
+}
+
+function historyUrl(path = '') {
+    return '/api/rooms/' + encodeURIComponent(currentRoom) + '/history' + path;
+}
+
+function revisionLabel(revision) {
+    return revision.name || HISTORY_REASONS[revision.reason] || revision.reason;
+}
+
+async function loadHistory() {
+    const list = document.getElementById('historyList');
+    list.innerHTML = '<div class="menu-hint">Lade Verlauf...</div>';
+
+    try {
+        const response = await fetch(historyUrl());
+        const result = response.ok ? await response.json() : { revisions: [] };
+
+        list.innerHTML = '';
+        result.revisions.forEach(revision => {
+            const option = document.createElement('div');
+            option.className = 'room-option' + (historyPreview && historyPreview.id === revision.id ? ' active' : '');
+            option.onclick = () => previewRevision(revision.id);
+
+            const name = document.createElement('span');
+            name.className = 'room-name';
+            name.textContent = (revision.name ? '📌 ' : '') + revisionLabel(revision);
+
+            const meta = document.createElement('span');
+            meta.className = 'room-meta';
+            meta.textContent = `${new Date(revision.createdAt).toLocaleString()} · ${revision.elements} Elemente`;
+
+            option.appendChild(name);
+            option.appendChild(meta);
+            list.appendChild(option);
+        });
+
+        if (result.revisions.length === 0) {
+            list.innerHTML = '<div class="menu-hint">Noch keine gespeicherten Stände</div>';
+        }
+    } catch (error) {
+        console.error('Could not load history:', error);
+        list.innerHTML = '<div class="menu-hint">Verlauf konnte nicht geladen werden</div>';
+    }
+}
+
+async function createRestorePoint() {
+    const name = prompt('Name des Wiederherstellungspunkts:');
+    if (!name || !name.trim()) return;
+
+    try {
+        const response = await fetch(historyUrl(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        console.log('📌 Restore point saved:', name);
+        loadHistory();
+    } catch (error) {
+        console.error('Could not save restore point:', error);
+        alert('Wiederherstellungspunkt konnte nicht gespeichert werden.');
+    }
+}
+
+// Show a revision read-only in place of the board
+async function previewRevision(revisionId) {
+    try {
+        const response = await fetch(historyUrl('/' + encodeURIComponent(revisionId)));
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        historyPreview = await response.json();
+    } catch (error) {
+        console.error('Could not load revision:', error);
+        alert('Dieser Stand konnte nicht geladen werden.');
+        return;
+    }
+
+    selectedImageId = null;
+    document.getElementById('historyMenu').style.display = 'none';
+    document.getElementById('historyPreviewLabel').textContent =
+        `${revisionLabel(historyPreview)} · ${new Date(historyPreview.createdAt).toLocaleString()}`;
+    document.getElementById('historyPreviewBar').style.display = 'flex';
+    render();
+}
+
+function closeHistoryPreview() {
+    historyPreview = null;
+    document.getElementById('historyPreviewBar').style.display = 'none';
+    render();
+}
+
+async function restorePreviewedRevision() {
+    if (!historyPreview) return;
+    if (!confirm('Board für alle auf diesen Stand zurücksetzen? Der aktuelle Stand bleibt im Verlauf.')) return;
+
+    try {
+        const response = await fetch(historyUrl('/' + encodeURIComponent(historyPreview.id) + '/restore'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ by: userProfile.name })
+        });
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        // The new board arrives as canvas_data, like for everyone else
+        closeHistoryPreview();
+    } catch (error) {
+        console.error('Could not restore revision:', error);
+        alert('Wiederherstellen fehlgeschlagen.');
+    }
+}
+
 // Game placement state
 let pendingGame = null;
 
@@ -624,6 +1176,19 @@ document.addEventListener('click', (e) => {
     if (!e.target.closest('#gamesMenu') && !e.target.closest('[onclick*="toggleGamesMenu"]') && !e.target.closest('.game-option')) {
         document.getElementById('gamesMenu').style.display = 'none';
     }
+    if (!e.target.closest('#roomsMenu') && !e.target.closest('[onclick*="toggleRoomsMenu"]')) {
+        document.getElementById('roomsMenu').style.display = 'none';
+    }
+    if (!e.target.closest('#peopleMenu') && !e.target.closest('[onclick*="togglePeopleMenu"]')) {
+        document.getElementById('peopleMenu').style.display = 'none';
+    }
+    if (!e.target.closest('#historyMenu') && !e.target.closest('[onclick*="toggleHistoryMenu"]')) {
+        document.getElementById('historyMenu').style.display = 'none';
+    }
+    // The click that ends the long press must not close the menu it just opened
+    if (!e.target.closest('#clipboardMenu') && Date.now() - clipboardMenuOpenedAt > 400) {
+        closeClipboardMenu();
+    }
 });
 
 // Background selection
@@ -740,6 +1305,18 @@ function drawBackground() {
 }
 
 // ========== RENDERING ==========
+// Coalesce frequent redraws (e.g. cursor streams) to one per frame
+function scheduleRender() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+    const wait = Math.max(0, minRenderInterval - (Date.now() - lastRenderTime));
+    setTimeout(() => requestAnimationFrame(() => {
+        renderScheduled = false;
+        lastRenderTime = Date.now();
+        render();
+    }), wait);
+}
+
 function render() {
     ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
@@ -751,360 +1328,72 @@ function render() {
     // Draw background based on current selection
     drawBackground();
 
-    // Render all paths
-    paths.forEach((p, index) => {
-        ctx.fillStyle = p.color || "#000";
-        ctx.strokeStyle = p.color || "#000";
-
-        if (p.type === 'game' && p.gameType === 'tictactoe') {
-            // Render Tic Tac Toe game
-            const cellSize = p.size / 3;
+    // Render all paths (or the revision being previewed)
+    (historyPreview ? historyPreview.elements : paths).forEach(drawElement);
 
-            // Draw board background
-            ctx.fillStyle = '#ffffff';
-            ctx.fillRect(p.x, p.y, p.size, p.size);
-
-            // Draw grid lines
-            ctx.strokeStyle = '#333';
-            ctx.lineWidth = 3;
-
-            // Vertical lines
-            for (let i = 1; i < 3; i++) {
-                ctx.beginPath();
-                ctx.moveTo(p.x + i * cellSize, p.y);
-                ctx.lineTo(p.x + i * cellSize, p.y + p.size);
-                ctx.stroke();
-            }
+    if (!historyPreview) {
+        if (arrowDraft) drawArrowDraft();
+        drawSelection();
+    }
+    drawImageBar();
+    drawStickyBar();
+    drawArrowBar();
 
-            // Horizontal lines
-            for (let i = 1; i < 3; i++) {
-                ctx.beginPath();
-                ctx.moveTo(p.x, p.y + i * cellSize);
-                ctx.lineTo(p.x + p.size, p.y + i * cellSize);
-                ctx.stroke();
-            }
+    // Render laser paths with fade effect
+    const now = Date.now();
+    laserPaths = laserPaths.filter(laser => {
+        const age = now - laser.timestamp;
+        if (age > 2000) return false; // Remove after 2 seconds
 
-            // Draw X and O
-            ctx.lineWidth = 8;
-            ctx.lineCap = 'round';
-
-            for (let row = 0; row < 3; row++) {
-                for (let col = 0; col < 3; col++) {
-                    const cellIndex = row * 3 + col;
-                    const mark = p.board[cellIndex];
-
-                    if (mark) {
-                        const cx = p.x + col * cellSize + cellSize / 2;
-                        const cy = p.y + row * cellSize + cellSize / 2;
-                        const padding = cellSize * 0.2;
-
-                        if (mark === 'X') {
-                            // Draw X
-                            ctx.strokeStyle = '#e74c3c';
-                            ctx.beginPath();
-                            ctx.moveTo(cx - padding, cy - padding);
-                            ctx.lineTo(cx + padding, cy + padding);
-                            ctx.moveTo(cx + padding, cy - padding);
-                            ctx.lineTo(cx - padding, cy + padding);
-                            ctx.stroke();
-                        } else if (mark === 'O') {
-                            // Draw O
-                            ctx.strokeStyle = '#3498db';
-                            ctx.beginPath();
-                            ctx.arc(cx, cy, padding, 0, Math.PI * 2);
-                            ctx.stroke();
-                        }
-                    }
-                }
-            }
+        const fadeProgress = age / 2000;
+        const alpha = 1 - fadeProgress;
 
-            // Draw winner line
-            if (p.winner && p.winner !== 'Draw' && p.winLine) {
-                ctx.strokeStyle = '#27ae60';
-                ctx.lineWidth = 6;
-                ctx.globalAlpha = 0.8;
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = '#ff0000';
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.shadowColor = '#ff0000';
+        ctx.shadowBlur = 10 * alpha;
 
-                const [a, b, c] = p.winLine;
-                const rowA = Math.floor(a / 3);
-                const colA = a % 3;
-                const rowC = Math.floor(c / 3);
-                const colC = c % 3;
+        ctx.beginPath();
+        if (laser.points.length > 0) {
+            ctx.moveTo(laser.points[0].x, laser.points[0].y);
+            laser.points.forEach(pt => ctx.lineTo(pt.x, pt.y));
+            ctx.stroke();
+        }
 
-                const x1 = p.x + colA * cellSize + cellSize / 2;
-                const y1 = p.y + rowA * cellSize + cellSize / 2;
-                const x2 = p.x + colC * cellSize + cellSize / 2;
-                const y2 = p.y + rowC * cellSize + cellSize / 2;
+        ctx.shadowBlur = 0;
+        ctx.globalAlpha = 1.0;
+        return true;
+    });
 
-                ctx.beginPath();
-                ctx.moveTo(x1, y1);
-                ctx.lineTo(x2, y2);
-                ctx.stroke();
-                ctx.globalAlpha = 1.0;
-            }
+    // Continue animation if there are laser paths
+    if (laserPaths.length > 0) {
+        requestAnimationFrame(render);
+    }
 
-            // Draw status text
-            ctx.fillStyle = '#333';
-            ctx.font = 'bold 24px -apple-system, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-
-            if (p.winner) {
-                if (p.winner === 'Draw') {
-                    ctx.fillText('Unentschieden!', p.x + p.size / 2, p.y + p.size + 10);
-                } else {
-                    ctx.fillText(`${p.winner} gewinnt! 🏆`, p.x + p.size / 2, p.y + p.size + 10);
-                }
-            } else {
-                // Show whose turn it is
-                let statusText = `Spieler ${p.currentPlayer} ist dran`;
-
-                // Add indicator if it's your turn
-                const isMyTurn = (p.currentPlayer === 'X' && socket.id === p.playerX) ||
-                                 (p.currentPlayer === 'O' && socket.id === p.playerO);
-
-                if (isMyTurn) {
-                    statusText += ' (Du! 👆)';
-                    ctx.fillStyle = '#27ae60'; // Green for your turn
-                }
-
-                ctx.fillText(statusText, p.x + p.size / 2, p.y + p.size + 10);
-
-                // Show player assignments in smaller text
-                ctx.font = '16px -apple-system, sans-serif';
-                ctx.fillStyle = '#666';
-                const youAreX = socket.id === p.playerX;
-                const youAreO = socket.id === p.playerO;
-
-                if (youAreX) {
-                    ctx.fillText('Du bist X (Rot)', p.x + p.size / 2, p.y + p.size + 40);
-                } else if (youAreO) {
-                    ctx.fillText('Du bist O (Blau)', p.x + p.size / 2, p.y + p.size + 40);
-                } else if (!p.playerO) {
-                    ctx.fillText('Warte auf zweiten Spieler...', p.x + p.size / 2, p.y + p.size + 40);
-                }
-            }
-
-        } else if (p.type === 'game' && p.gameType === 'pingpong') {
-            // Render Ping Pong game
-            const g = p;
-
-            // Draw game background
-            ctx.fillStyle = '#1a1a1a';
-            ctx.fillRect(g.x, g.y, g.width, g.height);
-
-            // Draw center line
-            ctx.strokeStyle = '#444';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([10, 5]);
-            ctx.beginPath();
-            ctx.moveTo(g.x + g.width / 2, g.y);
-            ctx.lineTo(g.x + g.width / 2, g.y + g.height);
-            ctx.stroke();
-            ctx.setLineDash([]);
-
-            // Draw paddles
-            ctx.fillStyle = '#3498db'; // Blue for left
-            ctx.fillRect(g.x + g.paddleLeft.x, g.y + g.paddleLeft.y, g.paddleLeft.width, g.paddleLeft.height);
-
-            ctx.fillStyle = '#e74c3c'; // Red for right
-            ctx.fillRect(g.x + g.paddleRight.x, g.y + g.paddleRight.y, g.paddleRight.width, g.paddleRight.height);
-
-            // Draw ball
-            ctx.fillStyle = '#fff';
-            ctx.beginPath();
-            ctx.arc(g.x + g.ball.x, g.y + g.ball.y, g.ball.radius, 0, Math.PI * 2);
-            ctx.fill();
-
-            // Draw scores
-            ctx.fillStyle = '#fff';
-            ctx.font = 'bold 48px -apple-system, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-            ctx.fillText(g.paddleLeft.score, g.x + g.width / 4, g.y + 30);
-            ctx.fillText(g.paddleRight.score, g.x + (g.width * 3) / 4, g.y + 30);
-
-            // Draw status text
-            ctx.font = 'bold 20px -apple-system, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'top';
-
-            if (g.winner) {
-                const isYouWinner = (g.winner === 'left' && socket.id === g.playerLeft) ||
-                                   (g.winner === 'right' && socket.id === g.playerRight);
-                const winnerText = isYouWinner ? 'Du gewinnst! 🏆' :
-                                  (g.winner === 'left' ? 'Blau gewinnt! 🏆' : 'Rot gewinnt! 🏆');
-                ctx.fillStyle = '#27ae60';
-                ctx.fillText(winnerText, g.x + g.width / 2, g.y + g.height + 10);
-            } else if (!g.playerLeft || !g.playerRight) {
-                ctx.fillStyle = '#999';
-                ctx.font = '18px -apple-system, sans-serif';
-                if (!g.playerLeft && !g.playerRight) {
-                    ctx.fillText('👆 Klick auf einen Paddle zum Beitreten!', g.x + g.width / 2, g.y + g.height + 10);
-                } else if (!g.playerRight) {
-                    ctx.fillText('Warte auf Spieler 2 - Klick rechten Paddle!', g.x + g.width / 2, g.y + g.height + 10);
-                } else if (!g.playerLeft) {
-                    ctx.fillText('Warte auf Spieler 1 - Klick linken Paddle!', g.x + g.width / 2, g.y + g.height + 10);
-                }
-            } else {
-                ctx.fillStyle = '#999';
-                ctx.font = '16px -apple-system, sans-serif';
-                const youAreLeft = socket.id === g.playerLeft;
-                const youAreRight = socket.id === g.playerRight;
-
-                if (youAreLeft) {
-                    ctx.fillText('Du bist Blau (Links) - Ziehe deinen Paddle! 👆', g.x + g.width / 2, g.y + g.height + 10);
-                } else if (youAreRight) {
-                    ctx.fillText('Du bist Rot (Rechts) - Ziehe deinen Paddle! 👆', g.x + g.width / 2, g.y + g.height + 10);
-                }
-            }
-
-        } else if (p.type === 'shape') {
-            // Render recognized shapes
-            ctx.lineWidth = p.brushSize || 3;
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
-
-            ctx.beginPath();
-
-            if (p.shapeType === 'line') {
-                ctx.moveTo(p.points[0].x, p.points[0].y);
-                ctx.lineTo(p.points[1].x, p.points[1].y);
-            } else if (p.shapeType === 'circle') {
-                ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
-            } else if (p.shapeType === 'ellipse') {
-                ctx.ellipse(p.x, p.y, p.radiusX, p.radiusY, 0, 0, Math.PI * 2);
-            } else if (p.shapeType === 'rectangle' || p.shapeType === 'square') {
-                ctx.rect(p.x, p.y, p.width, p.height);
-            } else if (p.shapeType === 'triangle' && p.points.length >= 3) {
-                ctx.moveTo(p.points[0].x, p.points[0].y);
-                ctx.lineTo(p.points[1].x, p.points[1].y);
-                ctx.lineTo(p.points[2].x, p.points[2].y);
-                ctx.closePath();
-            }
-
-            ctx.stroke();
-        } else if (p.type === 'line') {
-            // Set opacity based on tool type
-            if (p.tool === 'highlighter') {
-                ctx.globalAlpha = 0.4;
-            } else if (p.tool === 'marker') {
-                ctx.globalAlpha = p.opacity || 0.3;
-            } else {
-                ctx.globalAlpha = 1.0;
-            }
-
-            ctx.beginPath();
-            ctx.lineWidth = p.brushSize || 3;
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
-
-            if (p.points.length > 0) {
-                if (p.points.length < 3) {
-                    // Too few points for smoothing, draw straight line
-                    ctx.moveTo(p.points[0].x, p.points[0].y);
-                    p.points.forEach(pt => ctx.lineTo(pt.x, pt.y));
-                } else {
-                    // Smooth curve using quadratic curves
-                    ctx.moveTo(p.points[0].x, p.points[0].y);
-
-                    for (let i = 1; i < p.points.length - 1; i++) {
-                        const xc = (p.points[i].x + p.points[i + 1].x) / 2;
-                        const yc = (p.points[i].y + p.points[i + 1].y) / 2;
-                        ctx.quadraticCurveTo(p.points[i].x, p.points[i].y, xc, yc);
-                    }
-
-                    // Draw last segment
-                    const lastPoint = p.points[p.points.length - 1];
-                    const secondLastPoint = p.points[p.points.length - 2];
-                    ctx.quadraticCurveTo(
-                        secondLastPoint.x,
-                        secondLastPoint.y,
-                        lastPoint.x,
-                        lastPoint.y
-                    );
-                }
-                ctx.stroke();
-            }
+    // Strokes other participants are drawing right now
+    Object.values(remoteStrokes).forEach(stroke => {
+        if (stroke.points.length === 0) return;
+        ctx.strokeStyle = stroke.color || '#000';
+        if (stroke.tool === 'marker') {
+            ctx.globalAlpha = stroke.opacity || markerOpacity;
+        } else if (stroke.tool === 'highlighter') {
+            ctx.globalAlpha = 0.4;
+        } else {
             ctx.globalAlpha = 1.0;
-        } else if (p.type === 'text') {
-            ctx.font = `${p.textSize || 18}px -apple-system, sans-serif`;
-            ctx.textBaseline = "top";
-            p.content.split('\n').forEach((line, i) => ctx.fillText(line, p.x, p.y + (i * (p.textSize || 18) * 1.3)));
-        } else if (p.type === 'image') {
-            if (!p._imgElement) {
-                p._imgElement = new Image();
-                p._imgElement.crossOrigin = 'anonymous'; // Enable CORS
-                p._imgElement.src = p.data;
-                p._imgElement.onload = () => render();
-            }
-            if (p._imgElement.complete) {
-                ctx.drawImage(p._imgElement, p.x, p.y, p.width, p.height);
-
-                // Highlight selected image with resize handles
-                if (selectedImage === index) {
-                    ctx.strokeStyle = '#0095f6';
-                    ctx.lineWidth = 3 / scale;
-                    ctx.strokeRect(p.x - 5, p.y - 5, p.width + 10, p.height + 10);
-
-                    // Draw resize handles
-                    const handleSize = 12 / scale;
-                    ctx.fillStyle = '#0095f6';
-                    ctx.strokeStyle = 'white';
-                    ctx.lineWidth = 2 / scale;
-
-                    // Four corner handles
-                    const handles = [
-                        { x: p.x - 5, y: p.y - 5 }, // nw
-                        { x: p.x + p.width + 5, y: p.y - 5 }, // ne
-                        { x: p.x - 5, y: p.y + p.height + 5 }, // sw
-                        { x: p.x + p.width + 5, y: p.y + p.height + 5 } // se
-                    ];
-
-                    handles.forEach(h => {
-                        ctx.beginPath();
-                        ctx.arc(h.x, h.y, handleSize, 0, Math.PI * 2);
-                        ctx.fill();
-                        ctx.stroke();
-                    });
-                }
-            }
         }
-    });
-
-    // Render laser paths with fade effect
-    const now = Date.now();
-    laserPaths = laserPaths.filter(laser => {
-        const age = now - laser.timestamp;
-        if (age > 2000) return false; // Remove after 2 seconds
-
-        const fadeProgress = age / 2000;
-        const alpha = 1 - fadeProgress;
-
-        ctx.globalAlpha = alpha;
-        ctx.strokeStyle = '#ff0000';
-        ctx.lineWidth = 3;
+        ctx.lineWidth = stroke.brushSize || brushSize;
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
-        ctx.shadowColor = '#ff0000';
-        ctx.shadowBlur = 10 * alpha;
-
         ctx.beginPath();
-        if (laser.points.length > 0) {
-            ctx.moveTo(laser.points[0].x, laser.points[0].y);
-            laser.points.forEach(pt => ctx.lineTo(pt.x, pt.y));
-            ctx.stroke();
-        }
-
-        ctx.shadowBlur = 0;
+        ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+        stroke.points.forEach(pt => ctx.lineTo(pt.x, pt.y));
+        ctx.stroke();
         ctx.globalAlpha = 1.0;
-        return true;
     });
 
-    // Continue animation if there are laser paths
-    if (laserPaths.length > 0) {
-        requestAnimationFrame(render);
-    }
-
     // Draw current path with live preview
     if (currentPath && currentPath.points.length > 0) {
         // Use actual tool color for preview (except for laser which is always red)
@@ -1133,9 +1422,9 @@ function render() {
     }
 
     // Draw "drawing cursor" for animating paths
-    paths.forEach((p, index) => {
-        if (p._isAnimating && p.points.length > 0) {
-            const lastPoint = p.points[p.points.length - 1];
+    paths.forEach((p) => {
+        if (p._isAnimating && p._visiblePoints > 0) {
+            const lastPoint = p.points[p._visiblePoints - 1];
 
             // Draw pulsing circle at drawing position
             const pulseSize = 8 + Math.sin(Date.now() / 100) * 3;
@@ -1154,10 +1443,21 @@ function render() {
             ctx.arc(lastPoint.x, lastPoint.y, (pulseSize + 4) / scale, 0, Math.PI * 2);
             ctx.stroke();
 
+            // Who is drawing
+            const author = getUserName(p.createdBy);
+            if (author && p.createdBy !== clientId) {
+                ctx.globalAlpha = 0.9;
+                ctx.fillStyle = p.color || '#0095f6';
+                ctx.font = `${12 / scale}px -apple-system, BlinkMacSystemFont, sans-serif`;
+                ctx.fillText(author, lastPoint.x + (pulseSize + 8) / scale, lastPoint.y - (pulseSize + 4) / scale);
+            }
+
             ctx.globalAlpha = 1.0;
         }
     });
 
+    drawRemoteCursors();
+
     // Continue animation loop if paths are animating
     if (currentlyAnimating.length > 0) {
         requestAnimationFrame(render);
@@ -1166,6 +1466,318 @@ function render() {
     ctx.restore();
 }
 
+// Draw one element in model coordinates on ctx
+function drawElement(p) {
+    ctx.fillStyle = p.color || "#000";
+    ctx.strokeStyle = p.color || "#000";
+
+    if (p.type === 'game' && p.gameType === 'tictactoe') {
+        // Render Tic Tac Toe game
+        const cellSize = p.size / 3;
+
+        // Draw board background
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(p.x, p.y, p.size, p.size);
+
+        // Draw grid lines
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 3;
+
+        // Vertical lines
+        for (let i = 1; i < 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(p.x + i * cellSize, p.y);
+            ctx.lineTo(p.x + i * cellSize, p.y + p.size);
+            ctx.stroke();
+        }
+
+        // Horizontal lines
+        for (let i = 1; i < 3; i++) {
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y + i * cellSize);
+            ctx.lineTo(p.x + p.size, p.y + i * cellSize);
+            ctx.stroke();
+        }
+
+        // Draw X and O
+        ctx.lineWidth = 8;
+        ctx.lineCap = 'round';
+
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                const cellIndex = row * 3 + col;
+                const mark = p.board[cellIndex];
+
+                if (mark) {
+                    const cx = p.x + col * cellSize + cellSize / 2;
+                    const cy = p.y + row * cellSize + cellSize / 2;
+                    const padding = cellSize * 0.2;
+
+                    if (mark === 'X') {
+                        // Draw X
+                        ctx.strokeStyle = '#e74c3c';
+                        ctx.beginPath();
+                        ctx.moveTo(cx - padding, cy - padding);
+                        ctx.lineTo(cx + padding, cy + padding);
+                        ctx.moveTo(cx + padding, cy - padding);
+                        ctx.lineTo(cx - padding, cy + padding);
+                        ctx.stroke();
+                    } else if (mark === 'O') {
+                        // Draw O
+                        ctx.strokeStyle = '#3498db';
+                        ctx.beginPath();
+                        ctx.arc(cx, cy, padding, 0, Math.PI * 2);
+                        ctx.stroke();
+                    }
+                }
+            }
+        }
+
+        // Draw winner line
+        if (p.winner && p.winner !== 'Draw' && p.winLine) {
+            ctx.strokeStyle = '#27ae60';
+            ctx.lineWidth = 6;
+            ctx.globalAlpha = 0.8;
+
+            const [a, b, c] = p.winLine;
+            const rowA = Math.floor(a / 3);
+            const colA = a % 3;
+            const rowC = Math.floor(c / 3);
+            const colC = c % 3;
+
+            const x1 = p.x + colA * cellSize + cellSize / 2;
+            const y1 = p.y + rowA * cellSize + cellSize / 2;
+            const x2 = p.x + colC * cellSize + cellSize / 2;
+            const y2 = p.y + rowC * cellSize + cellSize / 2;
+
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            ctx.stroke();
+            ctx.globalAlpha = 1.0;
+        }
+
+        // Draw status text
+        ctx.fillStyle = '#333';
+        ctx.font = 'bold 24px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        if (p.winner) {
+            if (p.winner === 'Draw') {
+                ctx.fillText('Unentschieden!', p.x + p.size / 2, p.y + p.size + 10);
+            } else {
+                ctx.fillText(`${p.winner} gewinnt! 🏆`, p.x + p.size / 2, p.y + p.size + 10);
+            }
+        } else {
+            // Show whose turn it is
+            let statusText = `Spieler ${p.currentPlayer} ist dran`;
+
+            // Add indicator if it's your turn
+            const isMyTurn = (p.currentPlayer === 'X' && socket.id === p.playerX) ||
+                             (p.currentPlayer === 'O' && socket.id === p.playerO);
+
+            if (isMyTurn) {
+                statusText += ' (Du! 👆)';
+                ctx.fillStyle = '#27ae60'; // Green for your turn
+            }
+
+            ctx.fillText(statusText, p.x + p.size / 2, p.y + p.size + 10);
+
+            // Show player assignments in smaller text
+            ctx.font = '16px -apple-system, sans-serif';
+            ctx.fillStyle = '#666';
+            const youAreX = socket.id === p.playerX;
+            const youAreO = socket.id === p.playerO;
+
+            if (youAreX) {
+                ctx.fillText('Du bist X (Rot)', p.x + p.size / 2, p.y + p.size + 40);
+            } else if (youAreO) {
+                ctx.fillText('Du bist O (Blau)', p.x + p.size / 2, p.y + p.size + 40);
+            } else if (!p.playerO) {
+                ctx.fillText('Warte auf zweiten Spieler...', p.x + p.size / 2, p.y + p.size + 40);
+            }
+        }
+
+    } else if (p.type === 'game' && p.gameType === 'pingpong') {
+        // Render Ping Pong game
+        const g = p;
+
+        // Draw game background
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(g.x, g.y, g.width, g.height);
+
+        // Draw center line
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([10, 5]);
+        ctx.beginPath();
+        ctx.moveTo(g.x + g.width / 2, g.y);
+        ctx.lineTo(g.x + g.width / 2, g.y + g.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Draw paddles
+        ctx.fillStyle = '#3498db'; // Blue for left
+        ctx.fillRect(g.x + g.paddleLeft.x, g.y + g.paddleLeft.y, g.paddleLeft.width, g.paddleLeft.height);
+
+        ctx.fillStyle = '#e74c3c'; // Red for right
+        ctx.fillRect(g.x + g.paddleRight.x, g.y + g.paddleRight.y, g.paddleRight.width, g.paddleRight.height);
+
+        // Draw ball
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(g.x + g.ball.x, g.y + g.ball.y, g.ball.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw scores
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 48px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(g.paddleLeft.score, g.x + g.width / 4, g.y + 30);
+        ctx.fillText(g.paddleRight.score, g.x + (g.width * 3) / 4, g.y + 30);
+
+        // Draw status text
+        ctx.font = 'bold 20px -apple-system, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        if (g.winner) {
+            const isYouWinner = (g.winner === 'left' && socket.id === g.playerLeft) ||
+                               (g.winner === 'right' && socket.id === g.playerRight);
+            const winnerText = isYouWinner ? 'Du gewinnst! 🏆' :
+                              (g.winner === 'left' ? 'Blau gewinnt! 🏆' : 'Rot gewinnt! 🏆');
+            ctx.fillStyle = '#27ae60';
+            ctx.fillText(winnerText, g.x + g.width / 2, g.y + g.height + 10);
+        } else if (!g.playerLeft || !g.playerRight) {
+            ctx.fillStyle = '#999';
+            ctx.font = '18px -apple-system, sans-serif';
+            if (!g.playerLeft && !g.playerRight) {
+                ctx.fillText('👆 Klick auf einen Paddle zum Beitreten!', g.x + g.width / 2, g.y + g.height + 10);
+            } else if (!g.playerRight) {
+                ctx.fillText('Warte auf Spieler 2 - Klick rechten Paddle!', g.x + g.width / 2, g.y + g.height + 10);
+            } else if (!g.playerLeft) {
+                ctx.fillText('Warte auf Spieler 1 - Klick linken Paddle!', g.x + g.width / 2, g.y + g.height + 10);
+            }
+        } else {
+            ctx.fillStyle = '#999';
+            ctx.font = '16px -apple-system, sans-serif';
+            const youAreLeft = socket.id === g.playerLeft;
+            const youAreRight = socket.id === g.playerRight;
+
+            if (youAreLeft) {
+                ctx.fillText('Du bist Blau (Links) - Ziehe deinen Paddle! 👆', g.x + g.width / 2, g.y + g.height + 10);
+            } else if (youAreRight) {
+                ctx.fillText('Du bist Rot (Rechts) - Ziehe deinen Paddle! 👆', g.x + g.width / 2, g.y + g.height + 10);
+            }
+        }
+
+    } else if (p.type === 'shape') {
+        // Render recognized shapes
+        ctx.lineWidth = p.brushSize || 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        ctx.beginPath();
+
+        if (p.shapeType === 'line') {
+            ctx.moveTo(p.points[0].x, p.points[0].y);
+            ctx.lineTo(p.points[1].x, p.points[1].y);
+        } else if (p.shapeType === 'circle') {
+            ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+        } else if (p.shapeType === 'ellipse') {
+            ctx.ellipse(p.x, p.y, p.radiusX, p.radiusY, 0, 0, Math.PI * 2);
+        } else if (p.shapeType === 'rectangle' || p.shapeType === 'square') {
+            ctx.rect(p.x, p.y, p.width, p.height);
+        } else if (p.shapeType === 'triangle' && p.points.length >= 3) {
+            ctx.moveTo(p.points[0].x, p.points[0].y);
+            ctx.lineTo(p.points[1].x, p.points[1].y);
+            ctx.lineTo(p.points[2].x, p.points[2].y);
+            ctx.closePath();
+        }
+
+        ctx.stroke();
+    } else if (p.type === 'line') {
+        // Set opacity based on tool type
+        if (p.tool === 'highlighter') {
+            ctx.globalAlpha = 0.4;
+        } else if (p.tool === 'marker') {
+            ctx.globalAlpha = p.opacity || 0.3;
+        } else {
+            ctx.globalAlpha = 1.0;
+        }
+
+        ctx.beginPath();
+        ctx.lineWidth = p.brushSize || 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        // Remote strokes are revealed point by point while they animate
+        const points = p._isAnimating ? p.points.slice(0, p._visiblePoints) : p.points;
+
+        if (points.length > 0) {
+            if (points.length < 3) {
+                // Too few points for smoothing, draw straight line
+                ctx.moveTo(points[0].x, points[0].y);
+                points.forEach(pt => ctx.lineTo(pt.x, pt.y));
+            } else {
+                // Smooth curve using quadratic curves
+                ctx.moveTo(points[0].x, points[0].y);
+
+                for (let i = 1; i < points.length - 1; i++) {
+                    const xc = (points[i].x + points[i + 1].x) / 2;
+                    const yc = (points[i].y + points[i + 1].y) / 2;
+                    ctx.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
+                }
+
+                // Draw last segment
+                const lastPoint = points[points.length - 1];
+                const secondLastPoint = points[points.length - 2];
+                ctx.quadraticCurveTo(
+                    secondLastPoint.x,
+                    secondLastPoint.y,
+                    lastPoint.x,
+                    lastPoint.y
+                );
+            }
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1.0;
+    } else if (p.type === 'text') {
+        if (!p._editing) drawText(p);
+    } else if (p.type === 'sticky') {
+        drawSticky(p);
+    } else if (p.type === 'arrow') {
+        drawArrow(p);
+    } else if (p.type === 'image') {
+        const src = imageSourceFor(p);
+        p._images = p._images || {}; // Loaded variants by URL
+        if (!p._images[src]) {
+            const img = new Image();
+            img.crossOrigin = 'anonymous'; // Enable CORS
+            img.onload = () => render();
+            img.src = src;
+            p._images[src] = img;
+        }
+        // While a sharper variant loads, keep drawing one that is ready
+        const img = p._images[src].complete ? p._images[src] :
+            Object.values(p._images).find(candidate => candidate.complete);
+        if (img) {
+            drawImageElement(p, img);
+        }
+    }
+}
+
+// Smallest server variant (e.g. 256 / 1024 px, longest side) that is still sharp at the
+// image's current size on screen, otherwise the original
+function imageSourceFor(p) {
+    if (!p.variants) return p.data;
+    const needed = Math.max(p.width, p.height) * scale * dpr;
+    const size = appConfig.imageVariantSizes.find(s => p.variants[s] && s >= needed);
+    return size ? p.variants[size] : p.data;
+}
+
 // ========== COORDINATE TRANSFORMATION ==========
 function getModelPos(clientX, clientY) {
     const rect = canvas.getBoundingClientRect();
@@ -1183,93 +1795,425 @@ function getScreenPos(modelX, modelY) {
     };
 }
 
+// ========== ELEMENT LOOKUP ==========
+// Elements are always addressed by id - indices shift when others add or delete
+function getElementById(id) {
+    return paths.find(p => p.id === id) || null;
+}
+
+function getElementIndex(id) {
+    return paths.findIndex(p => p.id === id);
+}
+
 // ========== IMAGE DETECTION ==========
+// Images and sticky notes are picked up and dragged the same way
 function getImageAtPos(pos) {
     for (let i = paths.length - 1; i >= 0; i--) {
         const p = paths[i];
-        if (p.type === 'image' &&
-            pos.x >= p.x && pos.x <= p.x + p.width &&
-            pos.y >= p.y && pos.y <= p.y + p.height) {
-            return i;
+        if ((p.type === 'image' || p.type === 'sticky') && isPointInImage(p, pos)) {
+            return p.id;
         }
     }
-    return -1;
+    return null;
 }
 
-// ========== RESIZE HANDLE DETECTION ==========
-function checkResizeHandles(clientX, clientY) {
-    if (selectedImage === null) return null;
+// ========== IMAGE TRANSFORM ==========
+// Images can be rotated around their center (rotation, radians), mirrored (flipX, flipY)
+// and cropped without touching the file: crop is the visible part of the source image
+// as fractions { x, y, width, height }. x/y/width/height stay the unrotated frame of the
+// visible part. "Source space" below is the image's own frame, centered and un-mirrored.
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const ROTATE_HANDLE_DISTANCE = 36; // Screen pixels above the top edge
+const ROTATION_SNAP = 4 * Math.PI / 180; // Snap to multiples of 90° within 4°
 
-    const img = paths[selectedImage];
-    const handleRadius = 20 / scale;
+let cropSession = null; // { id, center, full, handle } while an image is being cropped
 
-    const handles = {
-        nw: getScreenPos(img.x - 5, img.y - 5),
-        ne: getScreenPos(img.x + img.width + 5, img.y - 5),
-        sw: getScreenPos(img.x - 5, img.y + img.height + 5),
-        se: getScreenPos(img.x + img.width + 5, img.y + img.height + 5)
-    };
+function imageCenter(p) {
+    return { x: p.x + p.width / 2, y: p.y + p.height / 2 };
+}
 
-    for (let [name, pos] of Object.entries(handles)) {
-        const dist = Math.hypot(clientX - pos.x, clientY - pos.y);
-        if (dist < handleRadius) {
-            return name;
-        }
-    }
+// World position -> source space of the image (relative to the given center)
+function toImageSpace(p, pos, center = imageCenter(p)) {
+    const r = p.rotation || 0;
+    const dx = pos.x - center.x;
+    const dy = pos.y - center.y;
+    const x = dx * Math.cos(r) + dy * Math.sin(r);
+    const y = -dx * Math.sin(r) + dy * Math.cos(r);
+    return { x: p.flipX ? -x : x, y: p.flipY ? -y : y };
+}
 
-    return null;
+// Source space -> world position
+function fromImageSpace(p, local, center = imageCenter(p)) {
+    const r = p.rotation || 0;
+    const x = p.flipX ? -local.x : local.x;
+    const y = p.flipY ? -local.y : local.y;
+    return {
+        x: center.x + x * Math.cos(r) - y * Math.sin(r),
+        y: center.y + x * Math.sin(r) + y * Math.cos(r)
+    };
 }
 
-// ========== ERASER CURSOR ==========
-function showEraserCursor(clientX, clientY) {
-    if (!eraserCursor) {
-        eraserCursor = document.createElement('div');
-        eraserCursor.style.position = 'fixed';
-        eraserCursor.style.width = '30px';
-        eraserCursor.style.height = '30px';
-        eraserCursor.style.borderRadius = '50%';
-        eraserCursor.style.border = '2px solid #0095f6';
-        eraserCursor.style.pointerEvents = 'none';
-        eraserCursor.style.zIndex = '9999';
-        eraserCursor.style.transform = 'translate(-50%, -50%)';
-        document.body.appendChild(eraserCursor);
-    }
-    eraserCursor.style.left = clientX + 'px';
-    eraserCursor.style.top = clientY + 'px';
-    eraserCursor.style.display = 'block';
+function isPointInImage(p, pos) {
+    const local = toImageSpace(p, pos);
+    return Math.abs(local.x) <= p.width / 2 && Math.abs(local.y) <= p.height / 2;
 }
 
-function hideEraserCursor() {
-    if (eraserCursor) {
-        eraserCursor.style.display = 'none';
-    }
+// Corners in world coordinates, for hit tests and the bounding box of rotated images
+function imageCorners(p, pad = 0) {
+    const w = p.width / 2 + pad;
+    const h = p.height / 2 + pad;
+    return [[-w, -h], [w, -h], [-w, h], [w, h]].map(([x, y]) => fromImageSpace(p, { x, y }));
 }
 
-// ========== TOUCH/MOUSE HANDLING ==========
-container.addEventListener('pointerdown', handlePointerDown);
-container.addEventListener('pointermove', handlePointerMove);
-container.addEventListener('pointerup', handlePointerUp);
-container.addEventListener('pointercancel', handlePointerUp);
+// Handle positions in world coordinates. Corners are named as seen on screen before
+// rotation; the rotation handle sits above the top edge.
+function imageHandles(p) {
+    const r = p.rotation || 0;
+    const c = imageCenter(p);
+    const at = (x, y) => ({
+        x: c.x + x * Math.cos(r) - y * Math.sin(r),
+        y: c.y + x * Math.sin(r) + y * Math.cos(r)
+    });
+    const w = p.width / 2 + 5;
+    const h = p.height / 2 + 5;
+    return {
+        nw: at(-w, -h),
+        ne: at(w, -h),
+        sw: at(-w, h),
+        se: at(w, h),
+        rotate: at(0, -p.height / 2 - ROTATE_HANDLE_DISTANCE / scale)
+    };
+}
 
-function handlePointerDown(e) {
-    // Ignore clicks on toolbar
-    if (e.target.closest('#toolbar')) {
-        return;
-    }
+// Resize from a corner handle; the opposite corner stays where it is
+function resizeImageFromHandle(img, handle, start, deltaX, deltaY) {
+    const r = start.rotation || 0;
+    const cos = Math.cos(r);
+    const sin = Math.sin(r);
+    // Pointer movement in the image's own (rotated) axes
+    const dx = deltaX * cos + deltaY * sin;
+    const dy = -deltaX * sin + deltaY * cos;
+    const sx = handle.includes('e') ? 1 : -1;
+    const sy = handle.includes('s') ? 1 : -1;
+    const width = Math.max(50, start.width + sx * dx);
+    const height = Math.max(50, start.height + sy * dy);
+
+    const anchor = { x: -sx * start.width / 2, y: -sy * start.height / 2 };
+    const moved = { x: -sx * width / 2, y: -sy * height / 2 };
+    const ox = anchor.x - moved.x;
+    const oy = anchor.y - moved.y;
+    const cx = start.x + start.width / 2 + ox * cos - oy * sin;
+    const cy = start.y + start.height / 2 + ox * sin + oy * cos;
+
+    img.x = cx - width / 2;
+    img.y = cy - height / 2;
+    img.width = width;
+    img.height = height;
+}
 
-    const pos = getModelPos(e.clientX, e.clientY);
+function normalizeRotation(angle) {
+    angle = angle % (Math.PI * 2);
+    if (angle > Math.PI) angle -= Math.PI * 2;
+    if (angle <= -Math.PI) angle += Math.PI * 2;
+    return angle;
+}
 
-    // Handle game placement
-    if (pendingGame) {
-        console.log('🎮 Placing game:', pendingGame, 'at', pos);
-        placeGame(pendingGame, pos);
-        pendingGame = null;
-        canvas.style.cursor = 'crosshair';
-        return;
-    }
+// Point the rotation handle at pos, snapping to straight angles
+function rotateImageTowards(img, pos) {
+    const c = imageCenter(img);
+    let angle = Math.atan2(pos.y - c.y, pos.x - c.x) + Math.PI / 2;
+    const straight = Math.round(angle / (Math.PI / 2)) * (Math.PI / 2);
+    if (Math.abs(angle - straight) < ROTATION_SNAP) angle = straight;
+    img.rotation = normalizeRotation(angle);
+}
 
-    // Handle game interaction
-    if (handleGameClick(pos)) {
+function rotateSelectedImage() {
+    const img = getElementById(selectedImageId);
+    if (!img) return;
+    endCrop();
+    const quarter = Math.round((img.rotation || 0) / (Math.PI / 2)) + 1;
+    updateElement(img.id, { rotation: normalizeRotation(quarter * Math.PI / 2) });
+    render();
+}
+
+function flipSelectedImage(axis) {
+    const img = getElementById(selectedImageId);
+    if (!img) return;
+    endCrop();
+    updateElement(img.id, axis === 'x' ? { flipX: !img.flipX } : { flipY: !img.flipY });
+    render();
+}
+
+// ----- Crop mode: the corner handles move the edges of the visible part -----
+function toggleCrop() {
+    if (cropSession) {
+        endCrop();
+    } else {
+        const img = getElementById(selectedImageId);
+        if (img) startCrop(img);
+    }
+    render();
+}
+
+function startCrop(img) {
+    const crop = img.crop || FULL_CROP;
+    const fullWidth = img.width / crop.width;
+    const fullHeight = img.height / crop.height;
+    cropSession = {
+        id: img.id,
+        center: imageCenter(img),
+        // The whole source image in source space around the center at crop start
+        full: {
+            x: -img.width / 2 - crop.x * fullWidth,
+            y: -img.height / 2 - crop.y * fullHeight,
+            width: fullWidth,
+            height: fullHeight
+        },
+        handle: null
+    };
+}
+
+function endCrop() {
+    cropSession = null;
+}
+
+// Element fields that show the given crop of the session's image
+function croppedFrame(img, crop) {
+    const full = cropSession.full;
+    const width = crop.width * full.width;
+    const height = crop.height * full.height;
+    const center = fromImageSpace(img, {
+        x: full.x + crop.x * full.width + width / 2,
+        y: full.y + crop.y * full.height + height / 2
+    }, cropSession.center);
+    return { x: center.x - width / 2, y: center.y - height / 2, width: width, height: height, crop: crop };
+}
+
+function cropHandleAt(clientX, clientY) {
+    const img = getElementById(cropSession.id);
+    if (!img) return null;
+    const handles = imageHandles(img);
+    return ['nw', 'ne', 'sw', 'se'].find(name => {
+        const screen = getScreenPos(handles[name].x, handles[name].y);
+        return Math.hypot(clientX - screen.x, clientY - screen.y) < 20;
+    }) || null;
+}
+
+function updateCrop(pos) {
+    const img = getElementById(cropSession.id);
+    if (!img) return;
+    const full = cropSession.full;
+    const local = toImageSpace(img, pos, cropSession.center);
+    const u = Math.min(1, Math.max(0, (local.x - full.x) / full.width));
+    const v = Math.min(1, Math.max(0, (local.y - full.y) / full.height));
+
+    // Handles are named in screen terms, so mirrored images move the opposite edge
+    const handle = cropSession.handle;
+    const left = handle.includes('w') !== !!img.flipX;
+    const top = handle.includes('n') !== !!img.flipY;
+    const crop = { ...(img.crop || FULL_CROP) };
+    const minSize = 0.05;
+    if (left) {
+        const right = crop.x + crop.width;
+        crop.x = Math.min(u, right - minSize);
+        crop.width = right - crop.x;
+    } else {
+        crop.width = Math.max(minSize, u - crop.x);
+    }
+    if (top) {
+        const bottom = crop.y + crop.height;
+        crop.y = Math.min(v, bottom - minSize);
+        crop.height = bottom - crop.y;
+    } else {
+        crop.height = Math.max(minSize, v - crop.y);
+    }
+
+    Object.assign(img, croppedFrame(img, crop));
+    queueElementUpdate(img, ['x', 'y', 'width', 'height', 'crop']);
+    render();
+}
+
+// Show the whole image again
+function resetCrop() {
+    const img = getElementById(selectedImageId);
+    if (!img || !img.crop) return;
+    if (!cropSession) startCrop(img);
+    const frame = croppedFrame(img, FULL_CROP);
+    frame.crop = null;
+    updateElement(img.id, frame);
+    startCrop(getElementById(img.id));
+    render();
+}
+
+// Draw an image element with its transform; called from drawElement once a variant is loaded
+function drawImageElement(p, img) {
+    const crop = p.crop || FULL_CROP;
+    const sourceWidth = img.naturalWidth || img.width;
+    const sourceHeight = img.naturalHeight || img.height;
+
+    ctx.save();
+    ctx.translate(p.x + p.width / 2, p.y + p.height / 2);
+    ctx.rotate(p.rotation || 0);
+
+    ctx.save();
+    ctx.scale(p.flipX ? -1 : 1, p.flipY ? -1 : 1);
+    if (cropSession && cropSession.id === p.id) {
+        // Crop mode: the hidden parts of the image shine through dimmed
+        const fullWidth = p.width / crop.width;
+        const fullHeight = p.height / crop.height;
+        ctx.globalAlpha = 0.3;
+        ctx.drawImage(img, -p.width / 2 - crop.x * fullWidth, -p.height / 2 - crop.y * fullHeight, fullWidth, fullHeight);
+        ctx.globalAlpha = 1.0;
+    }
+    ctx.drawImage(img,
+        crop.x * sourceWidth, crop.y * sourceHeight, crop.width * sourceWidth, crop.height * sourceHeight,
+        -p.width / 2, -p.height / 2, p.width, p.height);
+    ctx.restore();
+
+    // Highlight selected image with resize and rotation handles
+    if (p.id === selectedImageId) {
+        const cropping = cropSession && cropSession.id === p.id;
+        const w = p.width / 2 + 5;
+        const h = p.height / 2 + 5;
+        ctx.strokeStyle = '#0095f6';
+        ctx.lineWidth = 3 / scale;
+        if (cropping) ctx.setLineDash([8 / scale, 6 / scale]);
+        ctx.strokeRect(-w, -h, w * 2, h * 2);
+        ctx.setLineDash([]);
+
+        const handleSize = 12 / scale;
+        ctx.fillStyle = cropping ? 'white' : '#0095f6';
+        ctx.strokeStyle = cropping ? '#0095f6' : 'white';
+        ctx.lineWidth = 2 / scale;
+        [[-w, -h], [w, -h], [-w, h], [w, h]].forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, handleSize, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        if (!cropping) {
+            const top = -p.height / 2 - ROTATE_HANDLE_DISTANCE / scale;
+            ctx.strokeStyle = '#0095f6';
+            ctx.beginPath();
+            ctx.moveTo(0, -h);
+            ctx.lineTo(0, top);
+            ctx.stroke();
+            ctx.fillStyle = '#0095f6';
+            ctx.strokeStyle = 'white';
+            ctx.beginPath();
+            ctx.arc(0, top, handleSize * 0.8, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+    ctx.restore();
+}
+
+// Action bar above the selected image
+function drawImageBar() {
+    const bar = document.getElementById('imageBar');
+    const img = selectedImageId !== null ? getElementById(selectedImageId) : null;
+    if (cropSession && (!img || cropSession.id !== img.id)) endCrop();
+    if (!img || img.type !== 'image' || isDraggingImage || isResizingImage || historyPreview) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    const bounds = getElementBounds(img);
+    const anchor = getScreenPos(bounds.x + bounds.width / 2, bounds.y);
+    bar.style.display = 'flex';
+    bar.style.left = anchor.x + 'px';
+    bar.style.top = Math.max(10, anchor.y - ROTATE_HANDLE_DISTANCE - 60) + 'px';
+    document.getElementById('cropBtn').textContent = cropSession ? 'Fertig' : 'Zuschneiden';
+    document.getElementById('resetCropBtn').style.display = img.crop ? '' : 'none';
+}
+
+// ========== RESIZE HANDLE DETECTION ==========
+// Returns 'nw', 'ne', 'sw', 'se' or 'rotate'
+function checkResizeHandles(clientX, clientY) {
+    const img = getElementById(selectedImageId);
+    if (!img || img.type !== 'image') return null;
+    const handleRadius = 20 / scale;
+
+    const handles = {};
+    Object.entries(imageHandles(img)).forEach(([name, pos]) => {
+        handles[name] = getScreenPos(pos.x, pos.y);
+    });
+
+    for (let [name, pos] of Object.entries(handles)) {
+        const dist = Math.hypot(clientX - pos.x, clientY - pos.y);
+        if (dist < handleRadius) {
+            return name;
+        }
+    }
+
+    return null;
+}
+
+// ========== ERASER CURSOR ==========
+function showEraserCursor(clientX, clientY) {
+    if (!eraserCursor) {
+        eraserCursor = document.createElement('div');
+        eraserCursor.style.position = 'fixed';
+        eraserCursor.style.width = '30px';
+        eraserCursor.style.height = '30px';
+        eraserCursor.style.borderRadius = '50%';
+        eraserCursor.style.border = '2px solid #0095f6';
+        eraserCursor.style.pointerEvents = 'none';
+        eraserCursor.style.zIndex = '9999';
+        eraserCursor.style.transform = 'translate(-50%, -50%)';
+        document.body.appendChild(eraserCursor);
+    }
+    eraserCursor.style.left = clientX + 'px';
+    eraserCursor.style.top = clientY + 'px';
+    eraserCursor.style.display = 'block';
+}
+
+function hideEraserCursor() {
+    if (eraserCursor) {
+        eraserCursor.style.display = 'none';
+    }
+}
+
+// ========== TOUCH/MOUSE HANDLING ==========
+container.addEventListener('pointerdown', handlePointerDown);
+container.addEventListener('pointermove', handlePointerMove);
+container.addEventListener('pointerup', handlePointerUp);
+container.addEventListener('pointercancel', handlePointerUp);
+
+function handlePointerDown(e) {
+    // Ignore clicks on toolbar
+    if (e.target.closest('#toolbar')) {
+        return;
+    }
+
+    // A previewed revision is read-only
+    if (historyPreview) {
+        return;
+    }
+
+    const pos = getModelPos(e.clientX, e.clientY);
+
+    // A waiting tap on a text is done now - unless this is its second tap
+    if (deferredTap && !isSecondTextTap(getTextAtPos(pos))) {
+        commitDeferredTap();
+    }
+
+    // Everything this gesture changes is undone in one step
+    beginUndoGroup();
+
+    // Handle game placement
+    if (pendingGame) {
+        console.log('🎮 Placing game:', pendingGame, 'at', pos);
+        placeGame(pendingGame, pos);
+        pendingGame = null;
+        canvas.style.cursor = 'crosshair';
+        return;
+    }
+
+    // Handle game interaction (the selection tool picks games instead of playing them)
+    if (currentTool !== 'select' && handleGameClick(pos)) {
         return; // Game handled the click
     }
 
@@ -1287,8 +2231,9 @@ function handlePointerDown(e) {
         if (touches.length >= 2) {
             // Two-finger pan
             isPanning = true;
+            if (currentPath && currentPath.id) cancelStroke(currentPath);
             currentPath = null;
-            selectedImage = null;
+            selectedImageId = null;
             render();
             return;
         }
@@ -1297,36 +2242,62 @@ function handlePointerDown(e) {
     touchStartTime = Date.now();
     touchStartPos = { x: e.clientX, y: e.clientY };
 
+    if (handleTextTap(e, pos)) {
+        return;
+    }
+
+    if (currentTool === 'select' && handleSelectionPointerDown(e, pos)) {
+        return;
+    }
+
+    // In crop mode the corner handles crop; anything else ends crop mode
+    if (cropSession) {
+        const handle = cropHandleAt(e.clientX, e.clientY);
+        if (handle) {
+            rememberUndoBaseline(getElementById(cropSession.id));
+            cropSession.handle = handle;
+            return;
+        }
+        endCrop();
+    }
+
     // Check for resize handle interaction - always allow resizing regardless of input type
-    if (selectedImage !== null) {
+    if (selectedImageId !== null) {
         const handle = checkResizeHandles(e.clientX, e.clientY);
         if (handle) {
             console.log('🎯 Starting resize on handle:', handle);
             isResizingImage = true;
             resizeHandle = handle;
-            const img = paths[selectedImage];
+            const img = getElementById(selectedImageId);
+            rememberUndoBaseline(img);
             imageStartPos = { x: img.x, y: img.y };
-            imageStartSize = { width: img.width, height: img.height };
+            imageStartSize = { width: img.width, height: img.height, rotation: img.rotation || 0 };
             dragStartPos = { x: e.clientX, y: e.clientY };
             return;
         }
     }
 
+    // The arrow tool drags from element to element, even when starting on an image or note
+    if (currentTool === 'arrow' && (isApplePencil || e.pointerType === 'mouse')) {
+        startArrowDraft(pos);
+        return;
+    }
+
     // Check for image interaction - ONLY when NOT in drawing tool mode OR with finger (not pencil)
-    const imageIndex = getImageAtPos(pos);
+    const imageId = getImageAtPos(pos);
     const isDrawingTool = (currentTool === 'pen' || currentTool === 'highlighter' || currentTool === 'laser' || currentTool === 'marker');
 
     // Images can only be moved with finger (not Apple Pencil) or in non-drawing tools
     const canMoveImage = !isDrawingTool || !isApplePencil;
 
-    if (imageIndex !== -1 && canMoveImage) {
-        console.log('🖼️ Image selected at index:', imageIndex);
+    if (imageId !== null && canMoveImage) {
+        console.log('🖼️ Image selected:', imageId);
         // Double tap detection
         const currentTime = Date.now();
-        if (currentTime - lastTapTime < 300 && selectedImage === imageIndex) {
+        if (currentTime - lastTapTime < 300 && selectedImageId === imageId) {
             // Double tap - deselect
             console.log('👆 Double tap - deselecting');
-            selectedImage = null;
+            selectedImageId = null;
             render();
             lastTapTime = 0;
             return;
@@ -1334,10 +2305,11 @@ function handlePointerDown(e) {
         lastTapTime = currentTime;
 
         // Select image
-        selectedImage = imageIndex;
+        selectedImageId = imageId;
         isDraggingImage = true;
         dragStartPos = { x: e.clientX, y: e.clientY };
-        const img = paths[imageIndex];
+        const img = getElementById(imageId);
+        rememberUndoBaseline(img);
         imageStartPos = { x: img.x, y: img.y };
         console.log('📍 Starting drag from position:', imageStartPos);
         render();
@@ -1345,9 +2317,9 @@ function handlePointerDown(e) {
     }
 
     // Deselect image if clicking elsewhere (but not when drawing)
-    if (selectedImage !== null && !isDrawingTool) {
+    if (selectedImageId !== null && !isDrawingTool) {
         console.log('❌ Deselecting image');
-        selectedImage = null;
+        selectedImageId = null;
         render();
     }
 
@@ -1355,9 +2327,13 @@ function handlePointerDown(e) {
     const canDraw = isApplePencil || e.pointerType === 'mouse';
 
     // Tool actions - only if allowed to draw
-    if (currentTool === 'eraser' && canDraw) {
-        isErasing = true;
-        deleteObjectAt(pos);
+    if (STROKE_TOOLS.includes(currentTool) && canDraw) {
+        if (getTextAtPos(pos)) {
+            // Could be the first tap of a double tap that edits the text - wait and see
+            deferredTap = { pos: pos, timeout: null };
+        } else {
+            startStroke(pos);
+        }
     } else if (currentTool === 'text' && canDraw) {
         openTextEditor(e.clientX, e.clientY);
     } else if (currentTool === 'laser' && canDraw) {
@@ -1368,9 +2344,22 @@ function handlePointerDown(e) {
             timestamp: Date.now()
         };
         laserPaths.push(currentPath);
-    } else if (currentTool === 'shape' && canDraw) {
+    } else if (!canDraw) {
+        console.log('👆 Finger detected - only panning/moving allowed');
+    }
+}
+
+// Tools that change the board right on pointer down
+const STROKE_TOOLS = ['eraser', 'shape', 'pen', 'highlighter', 'marker'];
+
+function startStroke(pos) {
+    if (currentTool === 'eraser') {
+        isErasing = true;
+        deleteObjectAt(pos);
+    } else if (currentTool === 'shape') {
         // Shape recognition tool - draw freehand first, then recognize
         currentPath = {
+            id: createElementId(),
             type: 'line',
             color: colorPicker.value,
             points: [pos],
@@ -1378,12 +2367,13 @@ function handlePointerDown(e) {
             tool: 'shape',
             _isShapeDrawing: true
         };
-        paths.push(currentPath);
-    } else if ((currentTool === 'pen' || currentTool === 'highlighter' || currentTool === 'marker') && canDraw) {
+        beginStroke(currentPath);
+    } else {
         // Use thicker brush for marker tool by default
         const toolBrushSize = currentTool === 'marker' ? Math.max(brushSize, 8) : brushSize;
 
         currentPath = {
+            id: createElementId(),
             type: 'line',
             color: colorPicker.value,
             points: [pos],
@@ -1391,10 +2381,35 @@ function handlePointerDown(e) {
             tool: currentTool,
             opacity: currentTool === 'marker' ? markerOpacity : undefined
         };
-        paths.push(currentPath);
-    } else if (!canDraw) {
-        console.log('👆 Finger detected - only panning/moving allowed');
+        beginStroke(currentPath);
+    }
+}
+
+// A stroke or erase that starts on a text waits: it begins as soon as the pointer
+// moves, and a plain tap is only done once the double-tap time has passed without
+// a second tap - otherwise every double tap to edit would leave a dot on the board
+// (or, with the eraser, delete the text).
+let deferredTap = null; // { pos, timeout } - timeout is set once the pointer is up
+
+function cancelDeferredTap() {
+    if (deferredTap) clearTimeout(deferredTap.timeout);
+    deferredTap = null;
+}
+
+function commitDeferredTap() {
+    if (!deferredTap) return;
+    const pos = deferredTap.pos;
+    cancelDeferredTap();
+
+    beginUndoGroup();
+    startStroke(pos);
+    if (currentPath) {
+        endStroke({ ...currentPath, color: colorPicker.value });
+        currentPath = null;
     }
+    isErasing = false;
+    endUndoGroup();
+    render();
 }
 
 function handlePointerMove(e) {
@@ -1412,10 +2427,16 @@ function handlePointerMove(e) {
     }
 
     const pos = getModelPos(e.clientX, e.clientY);
+    trackCursor(pos);
+
+    if (selectionGesture) {
+        updateSelectionGesture(pos);
+        return;
+    }
 
     // Handle paddle dragging
-    if (isDraggingPaddle && draggedPaddleGame !== null) {
-        const game = paths[draggedPaddleGame];
+    if (isDraggingPaddle && draggedPaddleGameId !== null) {
+        const game = getElementById(draggedPaddleGameId);
         if (game && game.type === 'game' && game.gameType === 'pingpong') {
             // Calculate new paddle Y position (relative to game area)
             const relativeY = pos.y - game.y;
@@ -1436,47 +2457,47 @@ function handlePointerMove(e) {
         return;
     }
 
-    if (isResizingImage && selectedImage !== null) {
-        const img = paths[selectedImage];
+    if (arrowDraft) {
+        updateArrowDraft(pos);
+        return;
+    }
+
+    // The pointer went down on a text and moves: not a tap, so start drawing there
+    if (deferredTap && !deferredTap.timeout &&
+        Math.hypot(e.clientX - touchStartPos.x, e.clientY - touchStartPos.y) > 5) {
+        const start = deferredTap.pos;
+        cancelDeferredTap();
+        startStroke(start);
+    }
+
+    const img = getElementById(selectedImageId);
+
+    if (cropSession && cropSession.handle) {
+        updateCrop(pos);
+    } else if (isResizingImage && img && resizeHandle === 'rotate') {
+        rotateImageTowards(img, pos);
+        render();
+        queueElementUpdate(img, ['rotation']);
+    } else if (isResizingImage && img) {
         const deltaX = (e.clientX - dragStartPos.x) / scale;
         const deltaY = (e.clientY - dragStartPos.y) / scale;
-
-        if (resizeHandle === 'se') {
-            img.width = Math.max(50, imageStartSize.width + deltaX);
-            img.height = Math.max(50, imageStartSize.height + deltaY);
-        } else if (resizeHandle === 'sw') {
-            const newWidth = Math.max(50, imageStartSize.width - deltaX);
-            img.x = imageStartPos.x + (imageStartSize.width - newWidth);
-            img.width = newWidth;
-            img.height = Math.max(50, imageStartSize.height + deltaY);
-        } else if (resizeHandle === 'ne') {
-            img.width = Math.max(50, imageStartSize.width + deltaX);
-            const newHeight = Math.max(50, imageStartSize.height - deltaY);
-            img.y = imageStartPos.y + (imageStartSize.height - newHeight);
-            img.height = newHeight;
-        } else if (resizeHandle === 'nw') {
-            const newWidth = Math.max(50, imageStartSize.width - deltaX);
-            const newHeight = Math.max(50, imageStartSize.height - deltaY);
-            img.x = imageStartPos.x + (imageStartSize.width - newWidth);
-            img.y = imageStartPos.y + (imageStartSize.height - newHeight);
-            img.width = newWidth;
-            img.height = newHeight;
-        }
+        resizeImageFromHandle(img, resizeHandle, { ...imageStartPos, ...imageStartSize }, deltaX, deltaY);
         console.log('📏 Resizing to:', img.width, 'x', img.height);
         render();
-        throttledSync();
-    } else if (isDraggingImage && selectedImage !== null) {
+        queueElementUpdate(img, ['x', 'y', 'width', 'height']);
+    } else if (isDraggingImage && img) {
         const deltaX = (e.clientX - dragStartPos.x) / scale;
         const deltaY = (e.clientY - dragStartPos.y) / scale;
         const newX = imageStartPos.x + deltaX;
         const newY = imageStartPos.y + deltaY;
-        paths[selectedImage].x = newX;
-        paths[selectedImage].y = newY;
+        img.x = newX;
+        img.y = newY;
         console.log('🚚 Dragging to:', newX.toFixed(1), ',', newY.toFixed(1));
         render();
-        throttledSync();
+        queueElementUpdate(img, ['x', 'y']);
     } else if (currentPath) {
         currentPath.points.push(pos);
+        if (currentPath.id) queueStrokePoint(pos);
 
         // For laser pointer, trigger continuous render
         if (currentTool === 'laser') {
@@ -1509,18 +2530,26 @@ function handlePointerUp(e) {
         e.clientY - touchStartPos.y
     );
 
+    // A tap on a text: wait for a possible second tap before drawing the dot
+    if (deferredTap && !deferredTap.timeout) {
+        if (e.type === 'pointerup') {
+            deferredTap.timeout = setTimeout(commitDeferredTap, DOUBLE_TAP_TIME);
+        } else {
+            cancelDeferredTap();
+        }
+    }
+
     console.log('⬆️ Pointer up - moved:', moved.toFixed(1), 'px, duration:', duration, 'ms');
-    console.log('   isDragging:', isDraggingImage, 'isResizing:', isResizingImage, 'selectedImage:', selectedImage);
+    console.log('   isDragging:', isDraggingImage, 'isResizing:', isResizingImage, 'selectedImageId:', selectedImageId);
 
     // Check for long press to delete image
-    if (selectedImage !== null && !isDraggingImage && !isResizingImage && moved < 10) {
+    if (selectedImageId !== null && !isDraggingImage && !isResizingImage && moved < 10) {
         if (duration > 500) {
             console.log('🗑️ Long press detected - deleting image');
             if (confirm('Bild löschen?')) {
-                paths.splice(selectedImage, 1);
-                selectedImage = null;
+                deleteElements([selectedImageId]);
+                selectedImageId = null;
                 render();
-                syncToServer();
             }
             currentPath = null;
             isPanning = false;
@@ -1528,6 +2557,7 @@ function handlePointerUp(e) {
             isResizingImage = false;
             isErasing = false;
             hideEraserCursor();
+            endUndoGroup();
             return;
         }
     }
@@ -1553,54 +2583,52 @@ function handlePointerUp(e) {
             const recognizedShape = recognizeShape(currentPath);
 
             if (recognizedShape) {
-                // Replace freehand with recognized shape
-                const index = paths.indexOf(currentPath);
-                if (index !== -1) {
-                    paths[index] = recognizedShape;
-                }
-                console.log('✨ Shape recognized:', recognizedShape.shapeType);
+                // Replace freehand with recognized shape (keeping the stroke's id)
+                recognizedShape.id = currentPath.id;
+                console.log('✨ Shape recognized:', recognizedShape.shapeType || recognizedShape.type);
             }
 
             // Send final shape to server
-            const finalPath = paths[paths.indexOf(currentPath)] || currentPath;
-            socket.emit('new_element', { room: currentRoom, element: finalPath });
+            endStroke(recognizedShape || currentPath);
         } else {
             console.log('✏️ Sending drawing with', currentPath.points.length, 'points');
 
             // Finalize with actual color
-            const finalPath = {
+            endStroke({
                 ...currentPath,
                 color: colorPicker.value
-            };
+            });
+        }
+    }
 
-            // Replace current path in array
-            const index = paths.indexOf(currentPath);
-            if (index !== -1) {
-                paths[index] = finalPath;
-            }
+    if (selectionGesture) {
+        finishSelectionGesture();
+    }
+    if (arrowDraft) {
+        finishArrowDraft();
+    }
+    if (cropSession) {
+        cropSession.handle = null;
+    }
 
-            socket.emit('new_element', { room: currentRoom, element: finalPath });
-        }
+    // Long press with a finger (or the pencil in the selection tool) opens the clipboard menu
+    if (e.type === 'pointerup' && e.pointerType !== 'mouse' && duration > 500 && moved < 10 &&
+        (e.pointerType === 'touch' || currentTool === 'select')) {
+        openClipboardMenu(e.clientX, e.clientY);
     }
 
     // Sync after dragging or resizing image
-    if ((isDraggingImage || isResizingImage) && selectedImage !== null && moved > 5) {
-        const img = paths[selectedImage];
+    if ((isDraggingImage || isResizingImage) && selectedImageId !== null && moved > 5) {
         console.log('💾 Final sync after drag/resize');
-        isLocalUpdate = true;
-        socket.emit('full_sync', { room: currentRoom, data: paths });
-        setTimeout(() => {
-            isLocalUpdate = false;
-            console.log('🔓 Local update flag cleared');
-        }, 500);
+        flushElementUpdates();
     }
 
     // Sync after dragging paddle
-    if (isDraggingPaddle && draggedPaddleGame !== null) {
+    if (isDraggingPaddle && draggedPaddleGameId !== null) {
         console.log('💾 Final paddle sync');
-        const game = paths[draggedPaddleGame];
+        const game = getElementById(draggedPaddleGameId);
         if (game) {
-            socket.emit('game_move', { room: currentRoom, gameIndex: draggedPaddleGame, game: game });
+            emitGameMove(game, draggedPaddleSide === 'left' ? ['paddleLeft'] : ['paddleRight']);
         }
     }
 
@@ -1611,82 +2639,479 @@ function handlePointerUp(e) {
     isErasing = false;
     isApplePencil = false; // Reset Apple Pencil detection
     isDraggingPaddle = false; // Reset paddle dragging
-    draggedPaddleGame = null;
+    draggedPaddleGameId = null;
     draggedPaddleSide = null;
     hideEraserCursor();
+    endUndoGroup();
     render();
 
     console.log('🏁 Pointer up complete - state reset');
 }
 
 // ========== SYNC HELPER ==========
+// Every change is an operation on the board model: it gets a stamp, is applied locally
+// and sent to the server, which relays it to everyone else in the room.
+//   element_add (whole element), element_update (changed fields only), element_delete (ids)
+function createElementId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+// Rebuild the visible element list after elements were added, deleted or revived
+function refreshPaths() {
+    paths = BoardModel.elements(board);
+    if (selectedImageId !== null && !getElementById(selectedImageId)) {
+        selectedImageId = null;
+    }
+    selectedIds = selectedIds.filter(id => getElementById(id));
+}
+
+function applyRemoteOp(op) {
+    if (BoardModel.applyOp(board, op)) {
+        refreshPaths();
+    }
+}
+
+function applyLocalOp(op) {
+    op.stamp = BoardModel.nextStamp(board, siteId);
+    if (BoardModel.applyOp(board, op)) {
+        refreshPaths();
+    }
+    return op.stamp;
+}
+
+// Strip client-only fields (_images, _isShapeDrawing, ...) before sending
+function cleanElementForSync(element) {
+    const cleaned = {};
+    Object.keys(element).forEach(key => {
+        if (!key.startsWith('_')) cleaned[key] = element[key];
+    });
+    return cleaned;
+}
+
+// Adds and updates made in one go (a paste, a group move, an undo step) are sent
+// together: every operation keeps its own stamp, but they travel as one event per
+// type - the server rate-limits events, not elements. Other board events flush the
+// batch first, so the server sees everything in the order it was done.
+const MAX_BATCH_OPS = 1000;                // Same limit as the server
+const MAX_BATCH_BYTES = 1024 * 1024;       // Keeps a paste of big strokes below the payload limit
+let outgoingBatch = { event: null, ops: [], bytes: 0 };
+
+function sendElementOp(event, op) {
+    const bytes = JSON.stringify(op).length;
+    if (outgoingBatch.event !== event || outgoingBatch.ops.length >= MAX_BATCH_OPS ||
+        (outgoingBatch.ops.length > 0 && outgoingBatch.bytes + bytes > MAX_BATCH_BYTES)) {
+        flushElementOps();
+    }
+    if (outgoingBatch.ops.length === 0) queueMicrotask(flushElementOps);
+    outgoingBatch.event = event;
+    outgoingBatch.ops.push(op);
+    outgoingBatch.bytes += bytes;
+}
+
+function flushElementOps() {
+    const { event, ops } = outgoingBatch;
+    outgoingBatch = { event: null, ops: [], bytes: 0 };
+    if (ops.length > 0) socket.emit(event, { room: currentRoom, ops: ops });
+}
+
+// Add an element to the board; returns the live element object
+function addElement(element) {
+    const cleaned = cleanElementForSync(element);
+    if (!cleaned.createdBy) cleaned.createdBy = clientId;
+    recordUndo({ type: 'add', elements: [copyForUndo(cleaned)] });
+    const stamp = applyLocalOp({ type: 'add', element: cleaned });
+    sendElementOp('element_add', { element: cleaned, stamp: stamp });
+    return getElementById(element.id);
+}
+
+function updateElement(id, patch) {
+    recordUndo({ type: 'update', id: id, before: fieldsBefore(id, Object.keys(patch)), after: copyForUndo(patch) });
+    const stamp = applyLocalOp({ type: 'update', id: id, patch: patch });
+    sendElementOp('element_update', { id: id, patch: patch, stamp: stamp });
+}
+
+function deleteElements(ids) {
+    if (ids.length === 0) return;
+    console.log('📤 Deleting', ids.length, 'elements');
+    detachArrows(ids);
+    recordUndo({
+        type: 'delete',
+        elements: ids.map(getElementById).filter(Boolean).map(element => copyForUndo(cleanElementForSync(element)))
+    });
+    const stamp = applyLocalOp({ type: 'delete', ids: ids });
+    flushElementOps();
+    socket.emit('element_delete', { room: currentRoom, ids: ids, stamp: stamp });
+}
+
+// Send the given fields of a game; only the changed parts travel
+function emitGameMove(game, fields) {
+    const patch = {};
+    fields.forEach(field => {
+        patch[field] = game[field];
+    });
+    const stamp = applyLocalOp({ type: 'update', id: game.id, patch: patch });
+    flushElementOps();
+    socket.emit('game_move', { room: currentRoom, gameId: game.id, game: patch, stamp: stamp });
+}
+
+// Field changes (dragging, resizing) are applied to the element right away for
+// smooth feedback, collected per element and committed at most every 100ms
+let pendingPatches = {};
 let syncTimeout = null;
 
-function throttledSync() {
+function queueElementUpdate(element, fields) {
+    const patch = pendingPatches[element.id] || (pendingPatches[element.id] = {});
+    fields.forEach(field => {
+        patch[field] = element[field];
+    });
+
     if (syncTimeout) return;
-    syncTimeout = setTimeout(() => {
-        console.log('⚡ Real-time throttled sync');
-        const cleanPaths = cleanPathsForSync();
-        socket.emit('full_sync', { room: currentRoom, data: cleanPaths });
-        syncTimeout = null;
-    }, 100);
+    syncTimeout = setTimeout(flushElementUpdates, 100);
+}
+
+function flushElementUpdates() {
+    clearTimeout(syncTimeout);
+    syncTimeout = null;
+    const patches = pendingPatches;
+    pendingPatches = {};
+    Object.entries(patches).forEach(([id, patch]) => {
+        if (getElementById(id)) updateElement(id, patch);
+    });
 }
 
 let paddleSyncTimeout = null;
 function throttledPaddleSync() {
+    // The game loop already sends the left paddle with every frame
+    if (draggedPaddleSide === 'left' && pingPongLoops[draggedPaddleGameId]) return;
     if (paddleSyncTimeout) return;
     paddleSyncTimeout = setTimeout(() => {
-        if (draggedPaddleGame !== null) {
-            const game = paths[draggedPaddleGame];
+        if (draggedPaddleGameId !== null) {
+            const game = getElementById(draggedPaddleGameId);
             if (game) {
-                socket.emit('game_move', { room: currentRoom, gameIndex: draggedPaddleGame, game: game });
+                emitGameMove(game, draggedPaddleSide === 'left' ? ['paddleLeft'] : ['paddleRight']);
             }
         }
         paddleSyncTimeout = null;
     }, 50); // Faster sync for smoother gameplay
 }
 
-function syncToServer() {
-    console.log('📡 Broadcasting full sync');
-    const cleanPaths = cleanPathsForSync();
-    socket.emit('full_sync', { room: currentRoom, data: cleanPaths });
+// ========== UNDO / REDO ==========
+// Undo only reverts this user's own operations, so the work of others in the room
+// stays untouched. Each step holds the actions of one gesture:
+//   { type: 'add', elements }             - undo deletes them, redo adds them again
+//   { type: 'delete', elements }          - undo adds them back (same ids), redo deletes them
+//   { type: 'update', id, before, after } - undo sets the fields back
+// A field is only set back while it still has the value this user gave it - if
+// someone else changed it in the meantime, their change wins.
+const MAX_UNDO_STEPS = 100;
+let undoStack = [];
+let redoStack = [];
+let undoGroup = null; // Actions of the gesture in progress
+let undoBaselines = {}; // id -> element copy from before a drag/resize started
+let isUndoing = false;
+
+function copyForUndo(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
 }
 
-function cleanPathsForSync() {
-    return paths.map(p => {
-        const cleaned = { ...p };
-        delete cleaned._imgElement;
-        return cleaned;
-    });
+function beginUndoGroup() {
+    endUndoGroup();
+    undoGroup = [];
 }
 
-// ========== PINCH ZOOM ==========
-let lastPinchDistance = 0;
+function endUndoGroup() {
+    if (!undoGroup) return;
+    flushElementUpdates(); // Pending drag updates belong to this gesture
+    const group = undoGroup;
+    undoGroup = null;
+    undoBaselines = {};
+    if (group.length > 0) pushUndoStep(group);
+}
 
-container.addEventListener('touchstart', (e) => {
-    if (e.touches.length === 2) {
-        const dx = e.touches[0].clientX - e.touches[1].clientX;
-        const dy = e.touches[0].clientY - e.touches[1].clientY;
-        lastPinchDistance = Math.hypot(dx, dy);
+// Remember an element before it is changed in place (dragging, resizing)
+function rememberUndoBaseline(element) {
+    if (!undoBaselines[element.id]) {
+        undoBaselines[element.id] = copyForUndo(cleanElementForSync(element));
     }
-});
+}
 
-container.addEventListener('touchmove', (e) => {
-    if (e.touches.length === 2) {
-        e.preventDefault();
-        const dx = e.touches[0].clientX - e.touches[1].clientX;
-        const dy = e.touches[0].clientY - e.touches[1].clientY;
-        const distance = Math.hypot(dx, dy);
-        const delta = distance / lastPinchDistance;
+function pushUndoStep(actions) {
+    undoStack.push(actions);
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack = [];
+    updateUndoButtons();
+}
 
-        const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
-        const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
-        const rect = canvas.getBoundingClientRect();
-        const mouseX = centerX - rect.left;
-        const mouseY = centerY - rect.top;
+function recordUndo(action) {
+    if (isUndoing) return;
+    if (!undoGroup) {
+        pushUndoStep([action]);
+        return;
+    }
 
-        const worldX = (mouseX - offset.x) / scale;
-        const worldY = (mouseY - offset.y) / scale;
+    // Consecutive updates of one element in a gesture (a drag) become one action
+    if (action.type === 'update') {
+        const previous = undoGroup.find(a => a.type === 'update' && a.id === action.id);
+        if (previous) {
+            Object.keys(action.after).forEach(key => {
+                if (!(key in previous.before)) previous.before[key] = action.before[key];
+                previous.after[key] = action.after[key];
+            });
+            return;
+        }
+    }
+    undoGroup.push(action);
+}
+
+// Current values of the given fields, taken from the baseline if the element is being dragged
+function fieldsBefore(id, keys) {
+    const source = undoBaselines[id] || getElementById(id) || {};
+    const before = {};
+    keys.forEach(key => {
+        before[key] = copyForUndo(source[key]);
+    });
+    return before;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Apply one action backwards (undo) or forwards (redo)
+function replayAction(action, backwards) {
+    if (action.type === 'update') {
+        const element = getElementById(action.id);
+        if (!element) return;
+        const from = backwards ? action.after : action.before;
+        const to = backwards ? action.before : action.after;
+        const patch = {};
+        Object.keys(to).forEach(key => {
+            if (sameValue(element[key], from[key])) patch[key] = copyForUndo(to[key]);
+        });
+        if (Object.keys(patch).length > 0) updateElement(action.id, patch);
+        return;
+    }
+
+    const elements = action.elements;
+    const remove = (action.type === 'add') === backwards;
+    if (remove) {
+        const ids = elements.map(element => element.id).filter(id => getElementById(id));
+        // Keep what the elements look like now, so redo brings back the latest state
+        ids.forEach(id => {
+            const index = elements.findIndex(element => element.id === id);
+            elements[index] = copyForUndo(cleanElementForSync(getElementById(id)));
+        });
+        deleteElements(ids);
+    } else {
+        elements
+            .filter(element => !getElementById(element.id))
+            .forEach(element => addElement(copyForUndo(element)));
+    }
+}
+
+function undo() {
+    endUndoGroup();
+    const step = undoStack.pop();
+    if (!step) return;
+    isUndoing = true;
+    step.slice().reverse().forEach(action => replayAction(action, true));
+    isUndoing = false;
+    redoStack.push(step);
+    console.log('↩️ Undo', step.length, 'actions');
+    updateUndoButtons();
+    render();
+}
+
+function redo() {
+    endUndoGroup();
+    const step = redoStack.pop();
+    if (!step) return;
+    isUndoing = true;
+    step.forEach(action => replayAction(action, false));
+    isUndoing = false;
+    undoStack.push(step);
+    console.log('↪️ Redo', step.length, 'actions');
+    updateUndoButtons();
+    render();
+}
+
+function updateUndoButtons() {
+    document.getElementById('undoBtn').disabled = undoStack.length === 0;
+    document.getElementById('redoBtn').disabled = redoStack.length === 0;
+}
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo - not while typing
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// ========== LIVE STROKES ==========
+// Strokes are streamed while they are drawn: stroke_begin, batched stroke_points and
+// stroke_end, which carries the finished element and commits it like element_add.
+let remoteStrokes = {}; // Provisional strokes of others, keyed by element id
+let pendingStrokePoints = [];
+let strokeSyncTimeout = null;
+
+function beginStroke(path) {
+    pendingStrokePoints = [];
+    socket.emit('stroke_begin', { room: currentRoom, stroke: cleanElementForSync(path) });
+}
+
+function queueStrokePoint(pos) {
+    pendingStrokePoints.push(pos);
+    if (strokeSyncTimeout) return;
+    strokeSyncTimeout = setTimeout(() => flushStrokePoints(currentPath), 50);
+}
+
+function flushStrokePoints(path) {
+    clearTimeout(strokeSyncTimeout);
+    strokeSyncTimeout = null;
+    if (path && pendingStrokePoints.length > 0) {
+        socket.emit('stroke_points', { room: currentRoom, id: path.id, points: pendingStrokePoints });
+    }
+    pendingStrokePoints = [];
+}
+
+function endStroke(element) {
+    flushStrokePoints(element);
+    const cleaned = cleanElementForSync(element);
+    cleaned.createdBy = clientId;
+    recordUndo({ type: 'add', elements: [copyForUndo(cleaned)] });
+    const stamp = applyLocalOp({ type: 'add', element: cleaned });
+    flushElementOps();
+    socket.emit('stroke_end', { room: currentRoom, id: element.id, element: cleaned, stamp: stamp });
+}
+
+function cancelStroke(path) {
+    pendingStrokePoints = [];
+    flushStrokePoints(null);
+    socket.emit('stroke_end', { room: currentRoom, id: path.id });
+}
+
+// ========== REMOTE CURSORS ==========
+// Other participants' pointers in model coordinates, keyed by their sessionId
+let remoteCursors = {};
+let lastCursorPos = null;
+let cursorSyncTimeout = null;
+let cursorFadeTimeout = null;
+const CURSOR_IDLE_TIME = 3000; // Cursor starts to fade after this
+const CURSOR_FADE_TIME = 2000;
+
+function trackCursor(pos) {
+    lastCursorPos = pos;
+    if (cursorSyncTimeout) return;
+    cursorSyncTimeout = setTimeout(() => {
+        socket.emit('cursor_move', { room: currentRoom, x: lastCursorPos.x, y: lastCursorPos.y });
+        cursorSyncTimeout = null;
+    }, 50);
+}
+
+// Called inside render() with the model transform applied
+function drawRemoteCursors() {
+    const now = Date.now();
+    const viewLeft = -offset.x / scale;
+    const viewTop = -offset.y / scale;
+    const viewRight = viewLeft + canvas.width / dpr / scale;
+    const viewBottom = viewTop + canvas.height / dpr / scale;
+    let fading = false;
+
+    Object.keys(remoteCursors).forEach(sessionId => {
+        const cursor = remoteCursors[sessionId];
+        const user = onlineUsers[sessionId];
+        const idle = now - cursor.lastSeen;
+
+        if (!user || idle > CURSOR_IDLE_TIME + CURSOR_FADE_TIME) {
+            delete remoteCursors[sessionId];
+            return;
+        }
+        if (idle > CURSOR_IDLE_TIME) fading = true;
+
+        if (cursor.x < viewLeft || cursor.x > viewRight || cursor.y < viewTop || cursor.y > viewBottom) {
+            return;
+        }
+
+        const alpha = idle > CURSOR_IDLE_TIME ? 1 - (idle - CURSOR_IDLE_TIME) / CURSOR_FADE_TIME : 1;
+        const unit = 1 / scale; // Cursors keep their screen size at every zoom level
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.translate(cursor.x, cursor.y);
+        ctx.scale(unit, unit);
+
+        // Arrow
+        ctx.fillStyle = user.color;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, 16);
+        ctx.lineTo(4.5, 12);
+        ctx.lineTo(8, 19);
+        ctx.lineTo(10.5, 18);
+        ctx.lineTo(7, 11);
+        ctx.lineTo(12.5, 11);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Name badge
+        ctx.font = '600 12px -apple-system, BlinkMacSystemFont, sans-serif';
+        const labelWidth = ctx.measureText(user.name).width + 12;
+        ctx.fillStyle = user.color;
+        ctx.beginPath();
+        ctx.roundRect(12, 18, labelWidth, 20, 6);
+        ctx.fill();
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(user.name, 18, 28);
+
+        ctx.restore();
+    });
+
+    // Keep rendering while cursors fade out
+    if (fading && !cursorFadeTimeout) {
+        cursorFadeTimeout = setTimeout(() => {
+            cursorFadeTimeout = null;
+            render();
+        }, 100);
+    }
+}
+
+// ========== PINCH ZOOM ==========
+let lastPinchDistance = 0;
+
+container.addEventListener('touchstart', (e) => {
+    if (e.touches.length === 2) {
+        const dx = e.touches[0].clientX - e.touches[1].clientX;
+        const dy = e.touches[0].clientY - e.touches[1].clientY;
+        lastPinchDistance = Math.hypot(dx, dy);
+    }
+});
+
+container.addEventListener('touchmove', (e) => {
+    if (e.touches.length === 2) {
+        e.preventDefault();
+        const dx = e.touches[0].clientX - e.touches[1].clientX;
+        const dy = e.touches[0].clientY - e.touches[1].clientY;
+        const distance = Math.hypot(dx, dy);
+        const delta = distance / lastPinchDistance;
+
+        const centerX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+        const centerY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+        const rect = canvas.getBoundingClientRect();
+        const mouseX = centerX - rect.left;
+        const mouseY = centerY - rect.top;
+
+        const worldX = (mouseX - offset.x) / scale;
+        const worldY = (mouseY - offset.y) / scale;
 
         scale = Math.max(0.5, Math.min(3, scale * delta));
 
@@ -1721,6 +3146,7 @@ container.addEventListener('wheel', (e) => {
 function placeGame(gameType, pos) {
     if (gameType === 'tictactoe') {
         const game = {
+            id: createElementId(),
             type: 'game',
             gameType: 'tictactoe',
             x: pos.x,
@@ -1734,16 +3160,14 @@ function placeGame(gameType, pos) {
             playerO: null
         };
 
-        const gameIndex = paths.length;
-        paths.push(game);
-
-        console.log('✅ Tic Tac Toe placed at index', gameIndex, 'position:', pos);
+        console.log('✅ Tic Tac Toe placed:', game.id, 'position:', pos);
         console.log('📤 Sending new game to server');
 
-        socket.emit('new_element', { room: currentRoom, element: game });
+        addElement(game);
         render();
     } else if (gameType === 'pingpong') {
         const game = {
+            id: createElementId(),
             type: 'game',
             gameType: 'pingpong',
             x: pos.x,
@@ -1761,24 +3185,20 @@ function placeGame(gameType, pos) {
             lastUpdate: Date.now()
         };
 
-        const gameIndex = paths.length;
-        paths.push(game);
-
-        console.log('✅ Ping Pong placed at index', gameIndex, 'position:', pos);
+        console.log('✅ Ping Pong placed:', game.id, 'position:', pos);
         console.log('📤 Sending new game to server');
 
-        socket.emit('new_element', { room: currentRoom, element: game });
+        addElement(game);
         render();
 
         // Start game loop for this game
-        startPingPongLoop(gameIndex);
+        startPingPongLoop(game.id);
     }
 }
 
 function handleGameClick(pos) {
     // Check if clicking on any game
-    for (let i = 0; i < paths.length; i++) {
-        const game = paths[i];
+    for (const game of paths) {
         if (game.type === 'game' && game.gameType === 'tictactoe') {
             // Check if click is within game bounds
             if (pos.x >= game.x && pos.x <= game.x + game.size &&
@@ -1837,11 +3257,11 @@ function handleGameClick(pos) {
                     // Sync to server
                     console.log('📤 Sending game move to server:', {
                         room: currentRoom,
-                        gameIndex: i,
+                        gameId: game.id,
                         player: game.currentPlayer === 'X' ? 'O' : 'X', // Previous player (who just moved)
                         cellIndex: cellIndex
                     });
-                    socket.emit('game_move', { room: currentRoom, gameIndex: i, game: game });
+                    emitGameMove(game, ['board', 'currentPlayer', 'winner', 'winLine', 'playerX', 'playerO']);
                     render();
                     return true;
                 } else {
@@ -1869,13 +3289,13 @@ function handleGameClick(pos) {
                     if (!game.playerLeft) {
                         game.playerLeft = socket.id;
                         console.log('👤 Player Left (Blue) assigned:', socket.id);
-                        socket.emit('game_move', { room: currentRoom, gameIndex: i, game: game });
+                        emitGameMove(game, ['playerLeft']);
                     }
 
                     // Start dragging if this is our paddle
                     if (socket.id === game.playerLeft) {
                         isDraggingPaddle = true;
-                        draggedPaddleGame = i;
+                        draggedPaddleGameId = game.id;
                         draggedPaddleSide = 'left';
                         console.log('🏓 Started dragging left paddle');
                     }
@@ -1883,8 +3303,8 @@ function handleGameClick(pos) {
                     // Start game if both players are ready
                     if (!game.gameStarted && game.playerLeft && game.playerRight) {
                         game.gameStarted = true;
-                        startPingPongLoop(i);
-                        socket.emit('game_move', { room: currentRoom, gameIndex: i, game: game });
+                        startPingPongLoop(game.id);
+                        emitGameMove(game, ['gameStarted']);
                     }
 
                     render();
@@ -1901,293 +3321,1717 @@ function handleGameClick(pos) {
                     if (!game.playerRight && socket.id !== game.playerLeft) {
                         game.playerRight = socket.id;
                         console.log('👤 Player Right (Red) assigned:', socket.id);
-                        socket.emit('game_move', { room: currentRoom, gameIndex: i, game: game });
+                        emitGameMove(game, ['playerRight']);
+                    }
+
+                    // Start dragging if this is our paddle
+                    if (socket.id === game.playerRight) {
+                        isDraggingPaddle = true;
+                        draggedPaddleGameId = game.id;
+                        draggedPaddleSide = 'right';
+                        console.log('🏓 Started dragging right paddle');
                     }
 
-                    // Start dragging if this is our paddle
-                    if (socket.id === game.playerRight) {
-                        isDraggingPaddle = true;
-                        draggedPaddleGame = i;
-                        draggedPaddleSide = 'right';
-                        console.log('🏓 Started dragging right paddle');
-                    }
+                    // Start game if both players are ready
+                    if (!game.gameStarted && game.playerLeft && game.playerRight) {
+                        game.gameStarted = true;
+                        startPingPongLoop(game.id);
+                        emitGameMove(game, ['gameStarted']);
+                    }
+
+                    render();
+                    return true;
+                }
+
+                // If clicking anywhere else in the game area, show instructions
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+function checkTicTacToeWinner(board) {
+    const lines = [
+        [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
+        [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
+        [0, 4, 8], [2, 4, 6]              // Diagonals
+    ];
+
+    for (let line of lines) {
+        const [a, b, c] = line;
+        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
+            return { winner: board[a], line: line };
+        }
+    }
+
+    // Check for draw
+    if (board.every(cell => cell !== null)) {
+        return { winner: 'Draw', line: null };
+    }
+
+    return null;
+}
+
+// ========== TOOL SELECTION ==========
+function setTool(t) {
+    currentTool = t;
+    selectedImageId = null;
+    clearSelection();
+    document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
+    const btn = document.getElementById(t + 'Btn');
+    if (btn) btn.classList.add('active');
+
+    if (t === 'eraser') {
+        canvas.style.cursor = 'none';
+    } else if (t === 'text') {
+        canvas.style.cursor = 'text';
+    } else if (t === 'laser') {
+        canvas.style.cursor = 'crosshair';
+    } else if (t === 'marker') {
+        canvas.style.cursor = 'crosshair';
+        // Auto-suggest thicker brush for marker
+        if (brushSize < 8) {
+            console.log('💡 Tipp: Marker funktionieren besser mit dickeren Pinselgrößen (aktuell: ' + brushSize + 'px)');
+        }
+    } else {
+        canvas.style.cursor = 'crosshair';
+    }
+
+    hideEraserCursor();
+    render();
+}
+
+container.addEventListener('mousemove', (e) => {
+    if (currentTool === 'eraser' && !isPanning && !isDraggingImage) {
+        showEraserCursor(e.clientX, e.clientY);
+    }
+});
+
+// ========== CHAT FUNCTIONS ==========
+function toggleChat() {
+    const sidebar = document.getElementById('chat-sidebar');
+    sidebar.classList.toggle('closed');
+    if (!sidebar.classList.contains('closed')) {
+        unreadCount = 0;
+        updateBadge();
+    }
+    setTimeout(init, 350);
+}
+
+function sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+    socket.emit('chat_message', { room: currentRoom, text: text });
+    addMessageToUI('Ich', text, 'msg-me');
+    input.value = '';
+}
+
+// Messages from the history and from others - own messages (also from earlier visits) go right
+function addChatMessage(msg) {
+    if (msg.senderId === clientId) {
+        addMessageToUI('Ich', msg.text, 'msg-me');
+        return;
+    }
+    rememberUser(msg.senderId, msg.senderName, msg.senderColor);
+    const sender = msg.senderName || getUserName(msg.senderId) || 'Anderer';
+    addMessageToUI(sender, msg.text, 'msg-remote', msg.senderColor);
+}
+
+function addMessageToUI(sender, text, className, color) {
+    const div = document.createElement('div');
+    div.className = `chat-msg ${className}`;
+    if (className === 'msg-remote') {
+        const name = document.createElement('div');
+        name.className = 'chat-sender';
+        name.textContent = sender;
+        if (color) name.style.color = color;
+        div.appendChild(name);
+    }
+    div.appendChild(document.createTextNode(text));
+    const msgContainer = document.getElementById('chat-messages');
+    msgContainer.appendChild(div);
+    msgContainer.scrollTop = msgContainer.scrollHeight;
+}
+
+function updateBadge() {
+    const badge = document.getElementById('unread-badge');
+    badge.innerText = unreadCount;
+    badge.style.display = unreadCount > 0 ? 'flex' : 'none';
+}
+
+// ========== PDF HANDLING ==========
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+
+document.getElementById('pdfInput').addEventListener('change', handlePDF);
+
+async function handlePDF(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) await placePdf(file, { x: viewCenter().x, y: (50 - offset.y) / scale });
+}
+
+// Render every page of a PDF, upload it as PNG and stack the pages downwards,
+// starting with the first page's top center at the given model position
+async function placePdf(file, top) {
+    const progress = createUploadProgress(file.name);
+    try {
+        const pdf = await pdfjsLib.getDocument(new Uint8Array(await file.arrayBuffer())).promise;
+        let y = top.y;
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const viewport = page.getViewport({ scale: 2.0 });
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = viewport.width;
+            tempCanvas.height = viewport.height;
+            await page.render({
+                canvasContext: tempCanvas.getContext('2d'),
+                viewport
+            }).promise;
+
+            const blob = await new Promise(resolve => tempCanvas.toBlob(resolve, 'image/png'));
+            const { result } = await uploadFile(blob, `pdf-page-${i}.png`,
+                fraction => progress.update((i - 1 + fraction) / pdf.numPages));
+            if (!result.success) throw new Error(result.error || 'upload failed');
+
+            const el = {
+                id: createElementId(),
+                type: 'image',
+                data: result.url,
+                variants: result.variants,
+                x: top.x - viewport.width / 4,
+                y: y,
+                width: viewport.width / 2,
+                height: viewport.height / 2
+            };
+            addElement(el);
+            render();
+            y += el.height + 30;
+        }
+        progress.finish();
+    } catch (error) {
+        console.error('PDF upload failed:', error);
+        progress.finish('fehlgeschlagen');
+    }
+}
+
+// ========== IMAGE HANDLING ==========
+document.getElementById('imageInput').addEventListener('change', handleImage);
+
+async function handleImage(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) await uploadImage(file, viewCenter());
+}
+
+// Upload an image file and place it centered on the given model position
+async function uploadImage(file, center) {
+    const progress = createUploadProgress(file.name);
+    if (file.size > appConfig.maxUploadBytes) {
+        progress.finish(`zu groß (max. ${Math.round(appConfig.maxUploadBytes / 1024 / 1024)} MB)`);
+        return;
+    }
+
+    try {
+        const { status, result } = await uploadFile(file, file.name, progress.update);
+
+        if (result.success) {
+            const img = new Image();
+            // Done only once the image can be placed
+            img.onload = function() {
+                progress.finish();
+                const maxWidth = 600;
+                const maxHeight = 600;
+                let width = img.width;
+                let height = img.height;
+
+                if (width > maxWidth || height > maxHeight) {
+                    const ratio = Math.min(maxWidth / width, maxHeight / height);
+                    width *= ratio;
+                    height *= ratio;
+                }
+
+                const el = {
+                    id: createElementId(),
+                    type: 'image',
+                    data: result.url,
+                    variants: result.variants,
+                    x: center.x - width / 2,
+                    y: center.y - height / 2,
+                    width: width,
+                    height: height
+                };
+                addElement(el);
+                render();
+            };
+            img.onerror = function() {
+                console.error('Uploaded image could not be loaded:', img.src);
+                progress.finish('fehlgeschlagen');
+            };
+            img.crossOrigin = 'anonymous'; // Enable CORS for images
+            // Only the aspect ratio is needed - the 1024 variant is much quicker to load than a photo
+            img.src = result.variants[1024] || result.url;
+        } else if (status === 415) {
+            progress.finish('nur PNG, JPEG, GIF, WebP oder PDF');
+        } else {
+            progress.finish('fehlgeschlagen');
+        }
+    } catch (error) {
+        console.error('Upload failed:', error);
+        progress.finish('fehlgeschlagen');
+    }
+}
+
+// ========== UPLOAD PROGRESS ==========
+// Uploads use XMLHttpRequest because fetch cannot report upload progress.
+// Every running upload gets a row with a progress bar in #uploadProgress.
+function uploadFile(file, filename, onProgress) {
+    return new Promise((resolve, reject) => {
+        const formData = new FormData();
+        formData.append('file', file, filename);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', '/upload');
+        xhr.responseType = 'json';
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable && onProgress) onProgress(e.loaded / e.total);
+        };
+        xhr.onload = () => resolve({ status: xhr.status, result: xhr.response || {} });
+        xhr.onerror = () => reject(new Error('Network error'));
+        xhr.send(formData);
+    });
+}
+
+function createUploadProgress(name) {
+    const list = document.getElementById('uploadProgress');
+    const row = document.createElement('div');
+    row.className = 'upload-row';
+
+    const label = document.createElement('span');
+    label.className = 'upload-name';
+    label.textContent = name;
+
+    const bar = document.createElement('div');
+    bar.className = 'upload-bar';
+    const fill = document.createElement('div');
+    fill.className = 'upload-bar-fill';
+    bar.appendChild(fill);
+
+    row.appendChild(label);
+    row.appendChild(bar);
+    list.appendChild(row);
+    list.style.display = 'flex';
+
+    return {
+        update(fraction) {
+            fill.style.width = Math.round(fraction * 100) + '%';
+        },
+        // Without an error the row disappears shortly, failed uploads stay a bit longer
+        finish(error) {
+            if (error) {
+                row.classList.add('failed');
+                label.textContent = `${name}: ${error}`;
+            } else {
+                fill.style.width = '100%';
+            }
+            setTimeout(() => {
+                row.remove();
+                if (list.children.length === 0) list.style.display = 'none';
+            }, error ? 5000 : 800);
+        }
+    };
+}
+
+// ========== DRAG & DROP ==========
+// Images and PDFs dropped on the canvas are uploaded and placed at the drop position
+const DROPPABLE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+container.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    container.classList.add('drop-target');
+});
+
+container.addEventListener('dragleave', (e) => {
+    if (!container.contains(e.relatedTarget)) container.classList.remove('drop-target');
+});
+
+container.addEventListener('drop', (e) => {
+    container.classList.remove('drop-target');
+    const files = Array.from(e.dataTransfer.files);
+    if (files.length === 0) return;
+    e.preventDefault();
+
+    const pos = getModelPos(e.clientX, e.clientY);
+    files.forEach((file, i) => {
+        // Several files fan out a little so they do not cover each other exactly
+        const at = { x: pos.x + i * 40 / scale, y: pos.y + i * 40 / scale };
+        if (!DROPPABLE_TYPES.includes(file.type)) {
+            createUploadProgress(file.name).finish('nur PNG, JPEG, GIF, WebP oder PDF');
+        } else if (file.type === 'application/pdf') {
+            placePdf(file, at);
+        } else {
+            uploadImage(file, at);
+        }
+    });
+    console.log('📥 Dropped', files.length, 'files');
+});
+
+// ========== MARKDOWN ==========
+// Text elements with markdown: true are shown as a Markdown subset: # headings,
+// **bold**, *italic*, `code`, [links](url), bullet, numbered and checkbox lists.
+// The source stays in content and is what the editor shows.
+const HEADING_SIZES = [1.6, 1.35, 1.15];
+
+// Blocks of a text: { runs, marker, indent, size } per source line. Runs are
+// { text, bold, italic, code, link }; marker is the list bullet or number.
+function parseTextBlocks(p) {
+    return p.content.split('\n').map(line => {
+        if (!p.markdown) return { runs: [{ text: line }], marker: null, indent: 0, size: 1 };
+
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            return {
+                runs: parseInline(heading[2], { bold: true }),
+                marker: null,
+                indent: 0,
+                size: HEADING_SIZES[heading[1].length - 1]
+            };
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?(.*)$/);
+        if (item) {
+            const level = Math.floor(item[1].replace(/\t/g, '  ').length / 2) + 1;
+            let marker = /\d/.test(item[2]) ? item[2] : '•';
+            if (item[3]) marker = /x/i.test(item[3]) ? '☑' : '☐';
+            return { runs: parseInline(item[4], {}), marker: marker, indent: level, size: 1 };
+        }
+
+        return { runs: parseInline(line, {}), marker: null, indent: 0, size: 1 };
+    });
+}
+
+// Inline markup; bold and italic may contain further markup
+function parseInline(text, style) {
+    const pattern = /(\*\*|__)(.+?)\1|(\*|_)(.+?)\3|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)/g;
+    const runs = [];
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > last) runs.push({ ...style, text: text.slice(last, match.index) });
+        if (match[2] !== undefined) {
+            runs.push(...parseInline(match[2], { ...style, bold: true }));
+        } else if (match[4] !== undefined) {
+            runs.push(...parseInline(match[4], { ...style, italic: true }));
+        } else if (match[5] !== undefined) {
+            runs.push({ ...style, text: match[5], code: true });
+        } else if (isSafeLink(match[7])) {
+            runs.push({ ...style, text: match[6], link: match[7] });
+        } else {
+            runs.push({ ...style, text: match[0] });
+        }
+        last = pattern.lastIndex;
+    }
+    if (last < text.length || runs.length === 0) runs.push({ ...style, text: text.slice(last) });
+    return runs;
+}
+
+// Anyone in the room can write a link that someone else opens, so only web and
+// mail links become links - javascript:, data: and the like stay plain text
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+function isSafeLink(href) {
+    try {
+        return LINK_PROTOCOLS.includes(new URL(href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+// ========== TEXT EDITOR ==========
+// Text elements carry their style (bold, italic, underline, fontFamily, align, markdown)
+// and an optional wrapping width. New text uses the style last picked in the format bar.
+const TEXT_FONTS = {
+    sans: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+    mono: 'Menlo, Consolas, monospace',
+    hand: '"Comic Sans MS", "Marker Felt", "Chalkboard SE", cursive'
+};
+const TEXT_EDITOR_INSET = { x: 14, y: 10 }; // Padding + border of .text-editor
+
+let textStyle = { bold: false, italic: false, underline: false, fontFamily: 'sans', align: 'left', markdown: false };
+let textEditor = null; // { textarea, element, style } while a text is being edited
+let lastTextTap = { id: null, time: 0 };
+const DOUBLE_TAP_TIME = 300;
+
+function textFont(p, size = p.textSize || 18, run = {}) {
+    const family = run.code ? TEXT_FONTS.mono : (TEXT_FONTS[p.fontFamily] || TEXT_FONTS.sans);
+    return `${p.italic || run.italic ? 'italic ' : ''}${p.bold || run.bold ? 'bold ' : ''}${size}px ${family}`;
+}
+
+// Measured lines of a text element:
+// { lines: [{ runs: [{ text, x, width, ... }], marker, indent, width, y, height, size, wrapped }], width, height }
+// Run x positions are relative to the start of the line's content (after the indent).
+function layoutText(p) {
+    const baseSize = p.textSize || 18;
+    const lines = [];
+    ctx.save();
+
+    parseTextBlocks(p).forEach(block => {
+        const size = baseSize * block.size;
+        const indent = block.indent * size * 1.4;
+        const maxWidth = p.width ? Math.max(size, p.width - indent) : Infinity;
+        let line = null;
+        const startLine = (marker, wrapped) => {
+            line = { runs: [], marker: marker, indent: indent, width: 0, size: size, wrapped: wrapped };
+            lines.push(line);
+        };
+        const runSize = run => (run.code ? size * 0.9 : size);
+        const measure = (run, text) => {
+            ctx.font = textFont(p, runSize(run), run);
+            return ctx.measureText(text).width;
+        };
+        const place = (run, text) => {
+            const width = measure(run, text);
+            line.runs.push({ ...run, text: text, x: line.width, width: width, size: runSize(run) });
+            line.width += width;
+        };
+
+        startLine(block.marker, false);
+        block.runs.forEach(run => {
+            run.text.split(/(\s+)/).forEach(word => {
+                if (word === '') return;
+                if (/^\s+$/.test(word)) {
+                    // Spaces at the start of a wrapped line disappear
+                    if (line.width > 0 || !line.wrapped) place(run, word);
+                    return;
+                }
+                if (line.width > 0 && line.width + measure(run, word) > maxWidth) {
+                    startLine(null, true);
+                }
+                // A single word wider than the box is split by characters
+                while (word.length > 1 && line.width + measure(run, word) > maxWidth) {
+                    let cut = word.length - 1;
+                    while (cut > 1 && measure(run, word.slice(0, cut)) > maxWidth) cut--;
+                    place(run, word.slice(0, cut));
+                    word = word.slice(cut);
+                    startLine(null, true);
+                }
+                place(run, word);
+            });
+        });
+    });
+    ctx.restore();
+
+    let y = 0;
+    lines.forEach(line => {
+        // Trailing spaces do not count for alignment
+        const lastRun = line.runs[line.runs.length - 1];
+        if (lastRun && /\s$/.test(lastRun.text)) {
+            ctx.save();
+            ctx.font = textFont(p, lastRun.size, lastRun);
+            line.width = lastRun.x + ctx.measureText(lastRun.text.trimEnd()).width;
+            ctx.restore();
+        }
+        line.y = y;
+        line.height = line.size * 1.3;
+        y += line.height;
+    });
+    return {
+        lines: lines,
+        width: p.width || Math.max(0, ...lines.map(line => line.indent + line.width)),
+        height: y
+    };
+}
+
+function drawText(p) {
+    const layout = layoutText(p);
+    const color = p.color || '#000';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    layout.lines.forEach(line => {
+        let x = p.x + line.indent;
+        const free = layout.width - line.indent - line.width;
+        if (p.align === 'center') x += free / 2;
+        if (p.align === 'right') x += free;
+        const y = p.y + line.y;
+
+        if (line.marker) {
+            ctx.font = textFont(p, line.size);
+            ctx.fillStyle = color;
+            ctx.fillText(line.marker, x - ctx.measureText(line.marker).width - line.size * 0.4, y);
+        }
+        line.runs.forEach(run => {
+            const runY = y + (line.size - run.size) / 2;
+            if (run.code) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.08)';
+                ctx.fillRect(x + run.x - 2, y, run.width + 4, line.size * 1.15);
+            }
+            ctx.font = textFont(p, run.size, run);
+            ctx.fillStyle = run.link ? '#0095f6' : color;
+            ctx.fillText(run.text, x + run.x, runY);
+            if ((p.underline || run.link) && run.text.trim() !== '') {
+                ctx.fillRect(x + run.x, y + line.size * 1.05, run.width, Math.max(1, line.size / 14));
+            }
+        });
+    });
+}
+
+// Link under a world position, for Ctrl/Cmd + click
+function getTextLinkAt(p, pos) {
+    if (!p.markdown) return null;
+    const layout = layoutText(p);
+    for (const line of layout.lines) {
+        if (pos.y < p.y + line.y || pos.y > p.y + line.y + line.height) continue;
+        let x = p.x + line.indent;
+        const free = layout.width - line.indent - line.width;
+        if (p.align === 'center') x += free / 2;
+        if (p.align === 'right') x += free;
+        const run = line.runs.find(r => r.link && pos.x >= x + r.x && pos.x <= x + r.x + r.width);
+        return run ? run.link : null;
+    }
+    return null;
+}
+
+// Text element or sticky note under a world position
+function getTextAtPos(pos) {
+    for (let i = paths.length - 1; i >= 0; i--) {
+        const p = paths[i];
+        if (p.type !== 'text' && p.type !== 'sticky') continue;
+        const b = getElementBounds(p);
+        if (pos.x >= b.x && pos.x <= b.x + b.width && pos.y >= b.y && pos.y <= b.y + b.height) {
+            return p;
+        }
+    }
+    return null;
+}
+
+// The text tool edits a text with one tap, every other tool with a double tap.
+// Ctrl/Cmd + click opens a Markdown link instead.
+function handleTextTap(e, pos) {
+    const text = getTextAtPos(pos);
+    const link = text && text.type === 'text' && (e.ctrlKey || e.metaKey) ? getTextLinkAt(text, pos) : null;
+    if (link) {
+        window.open(link, '_blank', 'noopener');
+        return true;
+    }
+    const isDoubleTap = isSecondTextTap(text);
+    lastTextTap = { id: text ? text.id : null, time: Date.now() };
+    if (!text || (currentTool !== 'text' && !isDoubleTap)) return false;
+
+    lastTextTap = { id: null, time: 0 };
+    cancelDeferredTap();
+    if (currentPath && currentPath.id) cancelStroke(currentPath);
+    currentPath = null;
+    if (text.type === 'sticky') {
+        openStickyEditor(text);
+    } else {
+        openTextEditor(e.clientX, e.clientY, text);
+    }
+    return true;
+}
+
+function isSecondTextTap(text) {
+    return Boolean(text) && lastTextTap.id === text.id && Date.now() - lastTextTap.time < DOUBLE_TAP_TIME;
+}
+
+function openTextEditor(clientX, clientY, element = null) {
+    const toolbar = document.getElementById('toolbar');
+    const toolbarRect = toolbar.getBoundingClientRect();
+
+    if (!element && clientX >= toolbarRect.left && clientX <= toolbarRect.right &&
+        clientY >= toolbarRect.top && clientY <= toolbarRect.bottom) {
+        console.log('Ignoring text editor on toolbar');
+        return;
+    }
+    if (textEditor) textEditor.textarea.blur();
+
+    const style = element ? textStyleOf(element) : { ...textStyle };
+    const size = element ? (element.textSize || 18) : textSize;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    if (element) {
+        // Lay the editor over the text so it does not jump
+        const screen = getScreenPos(element.x, element.y);
+        textarea.style.left = (screen.x - TEXT_EDITOR_INSET.x) + 'px';
+        textarea.style.top = (screen.y - TEXT_EDITOR_INSET.y) + 'px';
+        textarea.style.color = element.color || '#000000';
+        textarea.value = element.content;
+        if (element.width) {
+            textarea.style.width = (element.width * scale + TEXT_EDITOR_INSET.x * 2) + 'px';
+        }
+        element._editing = true; // Hidden on the canvas while the editor shows it
+    } else {
+        textarea.style.left = clientX + 'px';
+        textarea.style.top = clientY + 'px';
+    }
+    textarea.style.fontSize = (size * scale) + 'px';
+    container.appendChild(textarea);
+    textEditor = { textarea: textarea, element: element, style: style, size: size };
+    applyTextStyle();
+    textarea.focus();
+    render();
+
+    textarea.addEventListener('blur', () => {
+        const content = textarea.value;
+        // A width set by dragging the editor's resize grip becomes the wrapping width
+        const width = textarea.style.width ?
+            Math.max(20, (parseFloat(textarea.style.width) - TEXT_EDITOR_INSET.x * 2) / scale) : null;
+
+        if (element) {
+            delete element._editing;
+            if (!getElementById(element.id)) {
+                // Deleted by someone else while editing
+            } else if (content.trim() === '') {
+                deleteElements([element.id]);
+            } else {
+                const before = { content: element.content, width: element.width || null, ...textStyleOf(element) };
+                const after = { content: content, width: width, ...style };
+                const patch = {};
+                Object.keys(after).forEach(key => {
+                    if (!sameValue(before[key], after[key])) patch[key] = after[key];
+                });
+                if (Object.keys(patch).length > 0) updateElement(element.id, patch);
+            }
+        } else if (content.trim() !== "") {
+            const worldPos = getModelPos(clientX, clientY);
+            const el = {
+                id: createElementId(),
+                type: 'text',
+                content: content,
+                x: worldPos.x,
+                y: worldPos.y,
+                color: colorPicker.value,
+                textSize: size,
+                ...style
+            };
+            if (width) el.width = width;
+            addElement(el);
+        }
+        textarea.remove();
+        textEditor = null;
+        document.getElementById('textFormatBar').style.display = 'none';
+        render();
+    });
+}
+
+function textStyleOf(element) {
+    return {
+        bold: !!element.bold,
+        italic: !!element.italic,
+        underline: !!element.underline,
+        fontFamily: element.fontFamily || 'sans',
+        align: element.align || 'left',
+        markdown: !!element.markdown
+    };
+}
+
+// Show the editor's style in the textarea and the format bar
+function applyTextStyle() {
+    const { textarea, style } = textEditor;
+    textarea.style.fontWeight = style.bold ? 'bold' : 'normal';
+    textarea.style.fontStyle = style.italic ? 'italic' : 'normal';
+    textarea.style.textDecoration = style.underline ? 'underline' : 'none';
+    textarea.style.fontFamily = TEXT_FONTS[style.fontFamily];
+    textarea.style.textAlign = style.align;
+
+    const bar = document.getElementById('textFormatBar');
+    bar.style.display = 'flex';
+    bar.style.left = textarea.style.left;
+    bar.style.top = Math.max(10, parseFloat(textarea.style.top) - 52) + 'px';
+    bar.querySelectorAll('[data-style]').forEach(btn => {
+        const [key, value] = btn.dataset.style.split(':');
+        btn.classList.toggle('active', value === undefined ? style[key] : style[key] === value);
+    });
+}
+
+// Format bar buttons: "bold" toggles, "fontFamily:serif" sets a value
+function setTextStyle(spec) {
+    if (!textEditor) return;
+    const [key, value] = spec.split(':');
+    textEditor.style[key] = value === undefined ? !textEditor.style[key] : value;
+    if (!textEditor.element) textStyle = { ...textEditor.style };
+    applyTextStyle();
+}
+
+// Drop the wrapping width: lines only break at line breaks again
+function clearTextWrap() {
+    if (!textEditor) return;
+    textEditor.textarea.style.width = '';
+}
+
+// Keep the editor focused while the format bar is used
+document.getElementById('textFormatBar').addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+});
+document.getElementById('textFormatBar').addEventListener('mousedown', (e) => {
+    e.preventDefault();
+});
+
+// ========== STICKY NOTES ==========
+// A sticky note is a square of colored paper with wrapped text. Its height grows
+// with the text when the note is edited; it never gets shorter than it is wide.
+const STICKY_COLORS = ['#fff176', '#ffcc80', '#f8bbd0', '#c5e1a5', '#b3e5fc', '#d1c4e9'];
+const STICKY_SIZE = 200;
+const STICKY_PADDING = 16;
+
+let stickyColor = STICKY_COLORS[0];
+
+// The note's text as a text element at its content area
+function stickyText(note, content = note.content) {
+    return {
+        content: content || '',
+        x: note.x + STICKY_PADDING,
+        y: note.y + STICKY_PADDING,
+        width: note.width - STICKY_PADDING * 2,
+        textSize: note.textSize || 20,
+        fontFamily: 'hand',
+        color: '#333333'
+    };
+}
+
+function fitStickyHeight(note, content) {
+    return Math.max(note.width, layoutText(stickyText(note, content)).height + STICKY_PADDING * 2);
+}
+
+function drawSticky(p) {
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.25)';
+    ctx.shadowBlur = 12; // Shadows are in screen pixels, not affected by zoom
+    ctx.shadowOffsetY = 4;
+    ctx.fillStyle = p.color || STICKY_COLORS[0];
+    ctx.fillRect(p.x, p.y, p.width, p.height);
+    ctx.restore();
+
+    if (!p._editing && p.content) {
+        ctx.fillStyle = '#333333';
+        drawText(stickyText(p));
+    }
+
+    if (p.id === selectedImageId) {
+        ctx.strokeStyle = '#0095f6';
+        ctx.lineWidth = 3 / scale;
+        ctx.strokeRect(p.x - 5, p.y - 5, p.width + 10, p.height + 10);
+    }
+}
+
+// Toolbar button: a new note in the middle of the view, ready for typing
+function addStickyNote() {
+    const center = viewCenter();
+    const note = addElement({
+        id: createElementId(),
+        type: 'sticky',
+        x: center.x - STICKY_SIZE / 2,
+        y: center.y - STICKY_SIZE / 2,
+        width: STICKY_SIZE,
+        height: STICKY_SIZE,
+        content: '',
+        color: stickyColor,
+        textSize: 20
+    });
+    selectedImageId = note.id;
+    openStickyEditor(note);
+}
+
+function openStickyEditor(note) {
+    if (textEditor) textEditor.textarea.blur();
+
+    const text = stickyText(note);
+    const screen = getScreenPos(text.x, text.y);
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor sticky-editor';
+    textarea.style.left = (screen.x - TEXT_EDITOR_INSET.x) + 'px';
+    textarea.style.top = (screen.y - TEXT_EDITOR_INSET.y) + 'px';
+    textarea.style.width = (text.width * scale + TEXT_EDITOR_INSET.x * 2) + 'px';
+    textarea.style.fontSize = (text.textSize * scale) + 'px';
+    textarea.style.fontFamily = TEXT_FONTS.hand;
+    textarea.style.background = note.color || STICKY_COLORS[0];
+    textarea.value = note.content || '';
+    container.appendChild(textarea);
+    textEditor = { textarea: textarea, element: note };
+    note._editing = true;
+
+    // The editor grows with the text like the note will
+    const grow = () => {
+        textarea.style.height = 'auto';
+        textarea.style.height = textarea.scrollHeight + 'px';
+    };
+    textarea.addEventListener('input', grow);
+    grow();
+    textarea.focus();
+    render();
+
+    textarea.addEventListener('blur', () => {
+        delete note._editing;
+        const content = textarea.value;
+        if (getElementById(note.id) && content !== (note.content || '')) {
+            updateElement(note.id, { content: content, height: fitStickyHeight(note, content) });
+        }
+        textarea.remove();
+        textEditor = null;
+        render();
+    });
+}
+
+// Paper color for new notes and the selected note
+function setStickyColor(color) {
+    stickyColor = color;
+    const note = getElementById(selectedImageId);
+    if (note && note.type === 'sticky') {
+        updateElement(note.id, { color: color });
+        render();
+    }
+}
+
+// Color bar above the selected note
+function drawStickyBar() {
+    const bar = document.getElementById('stickyBar');
+    const note = selectedImageId !== null ? getElementById(selectedImageId) : null;
+    if (!note || note.type !== 'sticky' || isDraggingImage || historyPreview) {
+        bar.style.display = 'none';
+        return;
+    }
+    const anchor = getScreenPos(note.x + note.width / 2, note.y);
+    bar.style.display = 'flex';
+    bar.style.left = anchor.x + 'px';
+    bar.style.top = Math.max(10, anchor.y - 60) + 'px';
+    bar.querySelectorAll('.sticky-color').forEach(swatch => {
+        swatch.classList.toggle('active', swatch.dataset.color === note.color);
+    });
+}
+
+// ========== ARROWS ==========
+// Arrows connect two points. An end with startId / endId is attached to that element
+// and is worked out at render time from the element's bounds, so the arrow follows
+// when the element is moved - on every client, without extra updates. start / end
+// keep the last free position and are used when an end is not (or no longer) attached.
+const ARROW_GAP = 8; // Space between an attached end and the element's edge
+const CURVE_SEGMENTS = 24;
+const CONNECTABLE_TYPES = ['sticky', 'text', 'image', 'shape'];
+
+let arrowStyle = { routing: 'straight', startHead: 'none', endHead: 'arrow' };
+let arrowDraft = null; // { start, startId, end, endId } while the arrow tool is dragged
+
+// Topmost element an arrow end at pos should attach to
+function findConnectableAt(pos, exceptId = null) {
+    const margin = 20 / scale;
+    for (let i = paths.length - 1; i >= 0; i--) {
+        const p = paths[i];
+        if (!CONNECTABLE_TYPES.includes(p.type) || p.id === exceptId) continue;
+        const b = getElementBounds(p);
+        if (pos.x >= b.x - margin && pos.x <= b.x + b.width + margin &&
+            pos.y >= b.y - margin && pos.y <= b.y + b.height + margin) {
+            return p;
+        }
+    }
+    return null;
+}
+
+function elementCenter(p) {
+    const b = getElementBounds(p);
+    return { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+}
+
+// Where an attached end meets its element: the edge point facing `toward`.
+// Elbow arrows leave from the middle of a side.
+function attachPoint(p, toward, routing) {
+    const b = getElementBounds(p);
+    const c = { x: b.x + b.width / 2, y: b.y + b.height / 2 };
+    const dx = toward.x - c.x;
+    const dy = toward.y - c.y;
+    const halfWidth = b.width / 2 + ARROW_GAP;
+    const halfHeight = b.height / 2 + ARROW_GAP;
+    if (dx === 0 && dy === 0) return c;
+
+    if (routing === 'elbow') {
+        return Math.abs(dx) >= Math.abs(dy) ?
+            { x: c.x + Math.sign(dx) * halfWidth, y: c.y } :
+            { x: c.x, y: c.y + Math.sign(dy) * halfHeight };
+    }
+    const t = Math.min(dx !== 0 ? halfWidth / Math.abs(dx) : Infinity, dy !== 0 ? halfHeight / Math.abs(dy) : Infinity);
+    return { x: c.x + dx * t, y: c.y + dy * t };
+}
+
+// Element an arrow end is attached to. Ends on the arrow itself or on anything that
+// cannot be connected (another arrow would recurse through its bounds) count as free.
+function attachedElement(p, id) {
+    const element = id && id !== p.id ? getElementById(id) : null;
+    return element && CONNECTABLE_TYPES.includes(element.type) ? element : null;
+}
+
+// Current ends of an arrow. horizontal tells elbow arrows which way to leave.
+function arrowEnds(p) {
+    const startElement = attachedElement(p, p.startId);
+    const endElement = attachedElement(p, p.endId);
+    const startRef = startElement ? elementCenter(startElement) : p.start;
+    const endRef = endElement ? elementCenter(endElement) : p.end;
+    return {
+        start: startElement ? attachPoint(startElement, endRef, p.routing) : p.start,
+        end: endElement ? attachPoint(endElement, startRef, p.routing) : p.end,
+        horizontal: Math.abs(endRef.x - startRef.x) >= Math.abs(endRef.y - startRef.y)
+    };
+}
+
+// The arrow's path as a polyline (curves sampled) for drawing, hit tests and bounds
+function arrowRoute(p) {
+    const { start, end, horizontal } = arrowEnds(p);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    if (p.routing === 'elbow') {
+        if (horizontal) {
+            const midX = start.x + dx / 2;
+            return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+        }
+        const midY = start.y + dy / 2;
+        return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+    }
+
+    if (p.routing === 'curved') {
+        // Quadratic curve bowing to the left of the direction of travel
+        const control = { x: start.x + dx / 2 + dy * 0.25, y: start.y + dy / 2 - dx * 0.25 };
+        const points = [];
+        for (let i = 0; i <= CURVE_SEGMENTS; i++) {
+            const t = i / CURVE_SEGMENTS;
+            const a = (1 - t) * (1 - t);
+            const b = 2 * (1 - t) * t;
+            const c = t * t;
+            points.push({
+                x: a * start.x + b * control.x + c * end.x,
+                y: a * start.y + b * control.y + c * end.y
+            });
+        }
+        return points;
+    }
+
+    return [start, end];
+}
+
+function arrowHeadSize(p) {
+    return Math.max(12, (p.brushSize || 3) * 4);
+}
+
+function drawArrowHead(style, tip, from, size) {
+    if (!style || style === 'none') return;
+    if (style === 'dot') {
+        ctx.beginPath();
+        ctx.arc(tip.x, tip.y, size * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+        return;
+    }
+    const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    ctx.beginPath();
+    ctx.moveTo(tip.x - size * Math.cos(angle - 0.45), tip.y - size * Math.sin(angle - 0.45));
+    ctx.lineTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - size * Math.cos(angle + 0.45), tip.y - size * Math.sin(angle + 0.45));
+    if (style === 'triangle') {
+        ctx.closePath();
+        ctx.fill();
+    }
+    ctx.stroke();
+}
+
+function drawArrow(p) {
+    const route = arrowRoute(p);
+    const size = arrowHeadSize(p);
+    ctx.lineWidth = p.brushSize || 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    ctx.beginPath();
+    route.forEach((pt, i) => (i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y)));
+    ctx.stroke();
+
+    drawArrowHead(p.startHead, route[0], route[1], size);
+    drawArrowHead(p.endHead || 'arrow', route[route.length - 1], route[route.length - 2], size);
+}
+
+function isPointNearArrow(p, pos, threshold) {
+    const route = arrowRoute(p);
+    for (let i = 1; i < route.length; i++) {
+        if (pointToLineDistance(pos, route[i - 1], route[i]) < threshold) return true;
+    }
+    return false;
+}
+
+// Arrows attached to elements that are about to be deleted keep their current ends
+function detachArrows(ids) {
+    paths.forEach(p => {
+        if (p.type !== 'arrow' || ids.includes(p.id)) return;
+        const patch = {};
+        const ends = arrowEnds(p);
+        if (ids.includes(p.startId)) {
+            patch.start = ends.start;
+            patch.startId = null;
+        }
+        if (ids.includes(p.endId)) {
+            patch.end = ends.end;
+            patch.endId = null;
+        }
+        if (Object.keys(patch).length > 0) updateElement(p.id, patch);
+    });
+}
+
+// A new arrow element from start to end, attached to the elements there
+function createArrow(start, end, style, color, size) {
+    const startElement = findConnectableAt(start);
+    const endElement = findConnectableAt(end, startElement ? startElement.id : null);
+    return {
+        id: createElementId(),
+        type: 'arrow',
+        start: start,
+        end: end,
+        startId: startElement ? startElement.id : null,
+        endId: endElement ? endElement.id : null,
+        routing: style.routing,
+        startHead: style.startHead,
+        endHead: style.endHead,
+        color: color,
+        brushSize: size
+    };
+}
+
+// ----- Arrow tool: drag from one element to another -----
+function startArrowDraft(pos) {
+    const startElement = findConnectableAt(pos);
+    arrowDraft = { start: pos, startId: startElement ? startElement.id : null, end: pos, endId: null };
+}
+
+function updateArrowDraft(pos) {
+    const endElement = findConnectableAt(pos, arrowDraft.startId);
+    arrowDraft.end = pos;
+    arrowDraft.endId = endElement ? endElement.id : null;
+    render();
+}
+
+function finishArrowDraft() {
+    const draft = arrowDraft;
+    arrowDraft = null;
+    if (Math.hypot(draft.end.x - draft.start.x, draft.end.y - draft.start.y) < 10 / scale) {
+        render();
+        return;
+    }
+    const arrow = createArrow(draft.start, draft.end, arrowStyle, colorPicker.value, brushSize);
+    arrow.startId = draft.startId;
+    arrow.endId = draft.endId;
+    addElement(arrow);
+    console.log('➡️ Arrow added', arrow.startId || '', '→', arrow.endId || '');
+    render();
+}
+
+function drawArrowDraft() {
+    const draft = { ...arrowStyle, ...arrowDraft, color: colorPicker.value, brushSize: brushSize };
+    // Highlight the elements the ends will attach to
+    [draft.startId, draft.endId].forEach(id => {
+        const element = id ? getElementById(id) : null;
+        if (!element) return;
+        const b = getElementBounds(element);
+        ctx.save();
+        ctx.strokeStyle = '#0095f6';
+        ctx.lineWidth = 2 / scale;
+        ctx.setLineDash([6 / scale, 4 / scale]);
+        ctx.strokeRect(b.x - ARROW_GAP, b.y - ARROW_GAP, b.width + ARROW_GAP * 2, b.height + ARROW_GAP * 2);
+        ctx.restore();
+    });
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = draft.color;
+    ctx.fillStyle = draft.color;
+    drawArrow(draft);
+    ctx.restore();
+}
+
+// ----- Arrow options: for new arrows and the selected ones -----
+function setArrowStyle(spec) {
+    const [key, value] = spec.split(':');
+    arrowStyle[key] = value;
+    const arrows = selectedIds.map(getElementById).filter(p => p && p.type === 'arrow');
+    if (arrows.length > 0) {
+        beginUndoGroup();
+        arrows.forEach(arrow => updateElement(arrow.id, { [key]: value }));
+        endUndoGroup();
+    }
+    render();
+}
+
+function drawArrowBar() {
+    const bar = document.getElementById('arrowBar');
+    const selectedArrow = selectedIds.map(getElementById).find(p => p && p.type === 'arrow');
+    if ((currentTool !== 'arrow' && !selectedArrow) || historyPreview) {
+        bar.style.display = 'none';
+        return;
+    }
+    const style = selectedArrow ? { ...arrowStyle, ...selectedArrow } : arrowStyle;
+    bar.style.display = 'flex';
+    bar.querySelectorAll('[data-arrow]').forEach(btn => {
+        const [key, value] = btn.dataset.arrow.split(':');
+        btn.classList.toggle('active', style[key] === value);
+    });
+}
+
+// ========== SELECTION ==========
+// The selection tool picks any elements with a lasso or a marquee: drawing a loop
+// selects what is inside the loop, dragging across selects what is inside the
+// rectangle. The selection is moved by dragging inside its bounding box and scaled
+// with the handle at its bottom right corner; every change is a normal element_update.
+let selectionGesture = null; // { mode: 'select', points } or { mode: 'move' | 'scale', start, originals, bounds }
+
+function getElementBounds(p) {
+    if (p.points && (p.type === 'line' || p.shapeType === 'line' || p.shapeType === 'triangle')) {
+        const pad = (p.brushSize || 3) / 2;
+        const xs = p.points.map(pt => pt.x);
+        const ys = p.points.map(pt => pt.y);
+        const minX = Math.min(...xs) - pad;
+        const minY = Math.min(...ys) - pad;
+        return { x: minX, y: minY, width: Math.max(...xs) + pad - minX, height: Math.max(...ys) + pad - minY };
+    }
+    if (p.shapeType === 'circle') {
+        return { x: p.x - p.radius, y: p.y - p.radius, width: p.radius * 2, height: p.radius * 2 };
+    }
+    if (p.shapeType === 'ellipse') {
+        return { x: p.x - p.radiusX, y: p.y - p.radiusY, width: p.radiusX * 2, height: p.radiusY * 2 };
+    }
+    if (p.type === 'image' && p.rotation) {
+        const corners = imageCorners(p);
+        const minX = Math.min(...corners.map(c => c.x));
+        const minY = Math.min(...corners.map(c => c.y));
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...corners.map(c => c.x)) - minX,
+            height: Math.max(...corners.map(c => c.y)) - minY
+        };
+    }
+    if (p.type === 'arrow') {
+        const pad = (p.brushSize || 3) / 2 + arrowHeadSize(p) / 2;
+        const route = arrowRoute(p);
+        const minX = Math.min(...route.map(pt => pt.x)) - pad;
+        const minY = Math.min(...route.map(pt => pt.y)) - pad;
+        return {
+            x: minX,
+            y: minY,
+            width: Math.max(...route.map(pt => pt.x)) + pad - minX,
+            height: Math.max(...route.map(pt => pt.y)) + pad - minY
+        };
+    }
+    if (p.type === 'text') {
+        const layout = layoutText(p);
+        return { x: p.x, y: p.y, width: layout.width, height: layout.height };
+    }
+    if (p.type === 'game' && p.gameType === 'tictactoe') {
+        return { x: p.x, y: p.y, width: p.size, height: p.size };
+    }
+    return { x: p.x, y: p.y, width: p.width || 0, height: p.height || 0 };
+}
+
+// Combined bounding box of the given elements
+function getCombinedBounds(elements) {
+    const boxes = elements.map(getElementBounds);
+    if (boxes.length === 0) return null;
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
 
-                    // Start game if both players are ready
-                    if (!game.gameStarted && game.playerLeft && game.playerRight) {
-                        game.gameStarted = true;
-                        startPingPongLoop(i);
-                        socket.emit('game_move', { room: currentRoom, gameIndex: i, game: game });
-                    }
+function getSelectionBounds() {
+    return getCombinedBounds(selectedIds.map(getElementById).filter(Boolean));
+}
 
-                    render();
-                    return true;
-                }
+// Points that stand for an element when testing it against a lasso
+function selectionSamplePoints(p) {
+    if (p.type === 'arrow') {
+        return arrowRoute(p);
+    }
+    if (p.type === 'line' || (p.points && p.points.length > 0)) {
+        const step = Math.max(1, Math.floor(p.points.length / 50));
+        return p.points.filter((pt, i) => i % step === 0);
+    }
+    const b = getElementBounds(p);
+    return [
+        { x: b.x, y: b.y }, { x: b.x + b.width, y: b.y },
+        { x: b.x, y: b.y + b.height }, { x: b.x + b.width, y: b.y + b.height },
+        { x: b.x + b.width / 2, y: b.y + b.height / 2 }
+    ];
+}
 
-                // If clicking anywhere else in the game area, show instructions
-                return true;
-            }
+function isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
         }
     }
-    return false;
+    return inside;
 }
 
-function checkTicTacToeWinner(board) {
-    const lines = [
-        [0, 1, 2], [3, 4, 5], [6, 7, 8], // Rows
-        [0, 3, 6], [1, 4, 7], [2, 5, 8], // Columns
-        [0, 4, 8], [2, 4, 6]              // Diagonals
-    ];
+// A loop that ends near its start is a lasso, anything else spans a marquee
+function selectionPolygon(points) {
+    const start = points[0];
+    const end = points[points.length - 1];
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    if (points.length > 10 && Math.hypot(end.x - start.x, end.y - start.y) < length * 0.25) {
+        return points;
+    }
+    return [start, { x: end.x, y: start.y }, end, { x: start.x, y: end.y }];
+}
 
-    for (let line of lines) {
-        const [a, b, c] = line;
-        if (board[a] && board[a] === board[b] && board[a] === board[c]) {
-            return { winner: board[a], line: line };
+function selectElementsIn(polygon) {
+    selectedIds = paths
+        .filter(p => {
+            const samples = selectionSamplePoints(p);
+            const inside = samples.filter(pt => isPointInPolygon(pt, polygon)).length;
+            return inside > samples.length / 2;
+        })
+        .map(p => p.id);
+    console.log('🔲 Selected', selectedIds.length, 'elements');
+}
+
+function clearSelection() {
+    selectedIds = [];
+    selectionGesture = null;
+    document.getElementById('selectionBar').style.display = 'none';
+}
+
+function isOnScaleHandle(clientX, clientY, bounds) {
+    const handle = getScreenPos(bounds.x + bounds.width, bounds.y + bounds.height);
+    return Math.hypot(clientX - handle.x, clientY - handle.y) < 20;
+}
+
+// Pointer down with the selection tool; returns true when the event was used
+function handleSelectionPointerDown(e, pos) {
+    const bounds = getSelectionBounds();
+    if (bounds) {
+        const onHandle = isOnScaleHandle(e.clientX, e.clientY, bounds);
+        const inside = pos.x >= bounds.x && pos.x <= bounds.x + bounds.width &&
+                       pos.y >= bounds.y && pos.y <= bounds.y + bounds.height;
+        if (onHandle || inside) {
+            const originals = {};
+            selectedIds.forEach(id => {
+                const element = getElementById(id);
+                rememberUndoBaseline(element);
+                originals[id] = JSON.parse(JSON.stringify(cleanElementForSync(element)));
+            });
+            selectionGesture = { mode: onHandle ? 'scale' : 'move', start: pos, originals: originals, bounds: bounds };
+            return true;
         }
     }
 
-    // Check for draw
-    if (board.every(cell => cell !== null)) {
-        return { winner: 'Draw', line: null };
+    // Fingers keep panning - selecting needs the pencil or a mouse
+    if (!isApplePencil && e.pointerType !== 'mouse') {
+        clearSelection();
+        return false;
     }
-
-    return null;
+    clearSelection();
+    selectionGesture = { mode: 'select', points: [pos] };
+    render();
+    return true;
 }
 
-// ========== TOOL SELECTION ==========
-function setTool(t) {
-    currentTool = t;
-    selectedImage = null;
-    document.querySelectorAll('.tool-btn').forEach(b => b.classList.remove('active'));
-    const btn = document.getElementById(t + 'Btn');
-    if (btn) btn.classList.add('active');
+// Fields of an element after scaling by factor around anchor and moving by (dx, dy)
+function transformedFields(original, anchor, factor, dx, dy) {
+    const map = (pt) => ({
+        x: anchor.x + (pt.x - anchor.x) * factor + dx,
+        y: anchor.y + (pt.y - anchor.y) * factor + dy
+    });
+    const fields = {};
 
-    if (t === 'eraser') {
-        canvas.style.cursor = 'none';
-    } else if (t === 'text') {
-        canvas.style.cursor = 'text';
-    } else if (t === 'laser') {
-        canvas.style.cursor = 'crosshair';
-    } else if (t === 'marker') {
-        canvas.style.cursor = 'crosshair';
-        // Auto-suggest thicker brush for marker
-        if (brushSize < 8) {
-            console.log('💡 Tipp: Marker funktionieren besser mit dickeren Pinselgrößen (aktuell: ' + brushSize + 'px)');
+    if (original.points) {
+        fields.points = original.points.map(map);
+    }
+    if (original.type === 'arrow') {
+        fields.start = map(original.start);
+        fields.end = map(original.end);
+    }
+    if (original.x !== undefined && original.y !== undefined) {
+        const moved = map({ x: original.x, y: original.y });
+        fields.x = moved.x;
+        fields.y = moved.y;
+    }
+    if (factor !== 1 && original.type !== 'game') {
+        ['width', 'height', 'radius', 'radiusX', 'radiusY'].forEach(key => {
+            if (original[key] !== undefined) fields[key] = original[key] * factor;
+        });
+        if (original.brushSize !== undefined) {
+            fields.brushSize = Math.min(200, Math.max(0.5, original.brushSize * factor));
         }
+        if (original.type === 'text' || original.type === 'sticky') {
+            fields.textSize = Math.min(400, Math.max(6, (original.textSize || 18) * factor));
+        }
+    }
+    return fields;
+}
+
+function updateSelectionGesture(pos) {
+    const gesture = selectionGesture;
+    if (gesture.mode === 'select') {
+        gesture.points.push(pos);
+        render();
+        return;
+    }
+
+    let factor = 1;
+    let dx = 0;
+    let dy = 0;
+    if (gesture.mode === 'move') {
+        dx = pos.x - gesture.start.x;
+        dy = pos.y - gesture.start.y;
     } else {
-        canvas.style.cursor = 'crosshair';
+        // Uniform scale around the top left corner, following the handle along the diagonal
+        const b = gesture.bounds;
+        const diagonal = Math.hypot(b.width, b.height) || 1;
+        const projected = ((pos.x - b.x) * b.width + (pos.y - b.y) * b.height) / diagonal;
+        factor = Math.max(0.05, projected / diagonal);
     }
 
-    hideEraserCursor();
+    Object.entries(gesture.originals).forEach(([id, original]) => {
+        const element = getElementById(id);
+        if (!element) return;
+        const fields = transformedFields(original, gesture.bounds, factor, dx, dy);
+        Object.assign(element, fields);
+        queueElementUpdate(element, Object.keys(fields));
+    });
     render();
 }
 
-container.addEventListener('mousemove', (e) => {
-    if (currentTool === 'eraser' && !isPanning && !isDraggingImage) {
-        showEraserCursor(e.clientX, e.clientY);
+function finishSelectionGesture() {
+    const gesture = selectionGesture;
+    selectionGesture = null;
+    if (gesture.mode === 'select' && gesture.points.length > 1) {
+        selectElementsIn(selectionPolygon(gesture.points));
     }
-});
+    render();
+}
 
-// ========== CHAT FUNCTIONS ==========
-function toggleChat() {
-    const sidebar = document.getElementById('chat-sidebar');
-    sidebar.classList.toggle('closed');
-    if (!sidebar.classList.contains('closed')) {
-        unreadCount = 0;
-        updateBadge();
+function drawSelection() {
+    const bar = document.getElementById('selectionBar');
+
+    if (selectionGesture && selectionGesture.mode === 'select' && selectionGesture.points.length > 1) {
+        const polygon = selectionPolygon(selectionGesture.points);
+        ctx.save();
+        ctx.strokeStyle = '#0095f6';
+        ctx.fillStyle = 'rgba(0, 149, 246, 0.08)';
+        ctx.lineWidth = 1.5 / scale;
+        ctx.setLineDash([6 / scale, 4 / scale]);
+        ctx.beginPath();
+        polygon.forEach((pt, i) => (i === 0 ? ctx.moveTo(pt.x, pt.y) : ctx.lineTo(pt.x, pt.y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
     }
-    setTimeout(init, 350);
-}
 
-function sendChatMessage() {
-    const input = document.getElementById('chatInput');
-    const text = input.value.trim();
-    if (!text) return;
-    socket.emit('chat_message', { room: currentRoom, text: text });
-    addMessageToUI('Ich', text, 'msg-me');
-    input.value = '';
+    const bounds = getSelectionBounds();
+    if (!bounds) {
+        bar.style.display = 'none';
+        return;
+    }
+
+    const pad = 6 / scale;
+    ctx.save();
+    ctx.strokeStyle = '#0095f6';
+    ctx.lineWidth = 1.5 / scale;
+    ctx.setLineDash([6 / scale, 4 / scale]);
+    ctx.strokeRect(bounds.x - pad, bounds.y - pad, bounds.width + pad * 2, bounds.height + pad * 2);
+    ctx.setLineDash([]);
+
+    // Scale handle
+    ctx.fillStyle = '#0095f6';
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2 / scale;
+    ctx.beginPath();
+    ctx.arc(bounds.x + bounds.width, bounds.y + bounds.height, 10 / scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+
+    // Action bar above the selection
+    const anchor = getScreenPos(bounds.x + bounds.width / 2, bounds.y - pad);
+    bar.style.display = selectionGesture ? 'none' : 'flex';
+    bar.style.left = anchor.x + 'px';
+    bar.style.top = Math.max(10, anchor.y - 52) + 'px';
+    document.getElementById('selectionCount').textContent = selectedIds.length;
 }
 
-function addMessageToUI(sender, text, className) {
-    const div = document.createElement('div');
-    div.className = `chat-msg ${className}`;
-    div.innerText = text;
-    const msgContainer = document.getElementById('chat-messages');
-    msgContainer.appendChild(div);
-    msgContainer.scrollTop = msgContainer.scrollHeight;
+// Actions on the whole selection - each one is a single undo step
+function deleteSelection() {
+    beginUndoGroup();
+    deleteElements(selectedIds.slice());
+    endUndoGroup();
+    clearSelection();
+    render();
 }
 
-function updateBadge() {
-    const badge = document.getElementById('unread-badge');
-    badge.innerText = unreadCount;
-    badge.style.display = unreadCount > 0 ? 'flex' : 'none';
+function recolorSelection() {
+    const color = colorPicker.value;
+    beginUndoGroup();
+    selectedIds.map(getElementById).forEach(element => {
+        if (element && ['line', 'shape', 'text', 'arrow'].includes(element.type)) {
+            updateElement(element.id, { color: color });
+        }
+    });
+    endUndoGroup();
+    render();
 }
 
-// ========== PDF HANDLING ==========
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+// Add copies of the given elements, moved by (dx, dy), as one undo step; returns their ids
+function insertCopies(elements, dx, dy) {
+    const newIds = Object.create(null);
+    elements.forEach(element => { newIds[element.id] = createElementId(); });
+
+    beginUndoGroup();
+    const ids = elements.map(element => {
+        const copy = copyElement(element);
+        if (copy.type === 'arrow') attachCopiedArrow(copy, newIds);
+        Object.assign(copy, transformedFields(copy, { x: 0, y: 0 }, 1, dx, dy));
+        copy.id = newIds[element.id];
+        delete copy.createdBy;
+        if (copy.gameType === 'pingpong') copy.gameStarted = false;
+        addElement(copy);
+        return copy.id;
+    });
+    endUndoGroup();
+    return ids;
+}
 
-document.getElementById('pdfInput').addEventListener('change', handlePDF);
+// Plain copy of an element. Arrows keep the ends they are drawn with, so they still
+// have them when the elements they are attached to are not copied along.
+function copyElement(p) {
+    const copy = JSON.parse(JSON.stringify(cleanElementForSync(p)));
+    if (copy.type === 'arrow') {
+        const ends = arrowEnds(p);
+        copy.start = { x: ends.start.x, y: ends.start.y };
+        copy.end = { x: ends.end.x, y: ends.end.y };
+    }
+    return copy;
+}
 
-async function handlePDF(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+// A copied arrow stays attached only if everything it is attached to was copied
+// along - then it connects the copies. Otherwise it keeps its ends where they are.
+function attachCopiedArrow(copy, newIds) {
+    const attached = [copy.startId, copy.endId].filter(Boolean);
+    if (attached.every(id => id in newIds)) {
+        if (copy.startId) copy.startId = newIds[copy.startId];
+        if (copy.endId) copy.endId = newIds[copy.endId];
+    } else {
+        copy.startId = null;
+        copy.endId = null;
+    }
+}
 
-    const reader = new FileReader();
-    reader.onload = async function() {
-        const pdf = await pdfjsLib.getDocument(new Uint8Array(this.result)).promise;
-        for(let i = 1; i <= pdf.numPages; i++) {
-            const page = await pdf.getPage(i);
-            const viewport = page.getViewport({ scale: 2.0 });
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = viewport.width;
-            tempCanvas.height = viewport.height;
-            await page.render({
-                canvasContext: tempCanvas.getContext('2d'),
-                viewport
-            }).promise;
+function duplicateSelection() {
+    const offsetBy = 20 / scale;
+    selectedIds = insertCopies(selectedIds.map(getElementById).filter(Boolean), offsetBy, offsetBy);
+    render();
+}
 
-            tempCanvas.toBlob(async (blob) => {
-                const formData = new FormData();
-                formData.append('file', blob, `pdf-page-${i}.png`);
+// Picking a color while something is selected recolors it
+colorPicker.addEventListener('change', () => {
+    if (selectedIds.length > 0) recolorSelection();
+});
 
-                try {
-                    const response = await fetch('https://ahdboard.onrender.com/upload', {
-                        method: 'POST',
-                        body: formData,
-                        mode: 'cors'
-                    });
-                    const result = await response.json();
-
-                    if (result.success) {
-                        const el = {
-                            type: 'image',
-                            data: 'https://ahdboard.onrender.com' + result.url,
-                            x: (container.clientWidth/2 - viewport.width/4) / scale - offset.x/scale,
-                            y: (50 + (i-1) * (viewport.height/2 + 30)) / scale - offset.y/scale,
-                            width: viewport.width / 2,
-                            height: viewport.height / 2
-                        };
-                        paths.push(el);
-                        socket.emit('new_element', { room: currentRoom, element: el });
-                        render();
-                    }
-                } catch (error) {
-                    console.error('Upload failed:', error);
-                }
-            }, 'image/png', 0.9);
-        }
-    };
-    reader.readAsArrayBuffer(file);
-    e.target.value = '';
-}
+// Delete removes the selection, Escape drops it
+document.addEventListener('keydown', (e) => {
+    if (selectedIds.length === 0 || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteSelection();
+    } else if (e.key === 'Escape') {
+        clearSelection();
+        render();
+    }
+});
 
-// ========== IMAGE HANDLING ==========
-document.getElementById('imageInput').addEventListener('change', handleImage);
+// ========== CLIPBOARD ==========
+// Copied elements are kept in localStorage, so they can also be pasted on another
+// board or in another tab. The system clipboard gets a PNG of them plus a marker text
+// with the copy id: pasting that marker inserts the elements again, pasting an image
+// from another app uploads it like the image button does.
+const CLIPBOARD_MARKER = 'adhdboard-copy:';
+let clipboardMenuPos = null; // Model position the long-press menu was opened at
+let clipboardMenuOpenedAt = 0;
 
-async function handleImage(e) {
-    const file = e.target.files[0];
-    if (!file) return;
+function readStoredClipboard() {
+    try {
+        return JSON.parse(loadStoredValue('clipboard'));
+    } catch (error) {
+        return null;
+    }
+}
 
-    const formData = new FormData();
-    formData.append('file', file);
+function copySelection() {
+    const live = selectedIds.map(getElementById).filter(Boolean);
+    if (live.length === 0) return;
+
+    const copied = { id: createElementId(), elements: live.map(copyElement), inSystemClipboard: false };
+    saveStoredValue('clipboard', JSON.stringify(copied));
+    console.log('📋 Copied', live.length, 'elements');
+
+    if (!navigator.clipboard || !window.ClipboardItem) return;
+    // The PNG is handed over as a promise, so the write still counts as part of the key press
+    navigator.clipboard.write([new ClipboardItem({
+        'image/png': renderElementsToPng(live),
+        'text/plain': new Blob([CLIPBOARD_MARKER + copied.id], { type: 'text/plain' })
+    })]).then(() => {
+        copied.inSystemClipboard = true;
+        saveStoredValue('clipboard', JSON.stringify(copied));
+    }).catch(error => console.warn('Could not write to the clipboard:', error));
+}
 
+// PNG of the given elements on white, at twice the model resolution (at most 4096px)
+function renderElementsToPng(elements) {
+    const bounds = getCombinedBounds(elements);
+    const pad = 10;
+    const width = bounds.width + pad * 2;
+    const height = bounds.height + pad * 2;
+    const ratio = Math.min(2, 4096 / width, 4096 / height);
+
+    const offscreen = document.createElement('canvas');
+    offscreen.width = Math.ceil(width * ratio);
+    offscreen.height = Math.ceil(height * ratio);
+
+    // drawElement draws on ctx, so point it at the offscreen canvas for a moment
+    const screenCtx = ctx;
+    ctx = offscreen.getContext('2d');
     try {
-        const response = await fetch('https://ahdboard.onrender.com/upload', {
-            method: 'POST',
-            body: formData,
-            mode: 'cors'
-        });
-        const result = await response.json();
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, offscreen.width, offscreen.height);
+        ctx.scale(ratio, ratio);
+        ctx.translate(pad - bounds.x, pad - bounds.y);
+        elements.forEach(drawElement);
+    } finally {
+        ctx = screenCtx;
+    }
+    return new Promise(resolve => offscreen.toBlob(resolve, 'image/png'));
+}
 
-        if (result.success) {
-            const img = new Image();
-            img.onload = function() {
-                const maxWidth = 600;
-                const maxHeight = 600;
-                let width = img.width;
-                let height = img.height;
+function viewCenter() {
+    return {
+        x: (container.clientWidth / 2 - offset.x) / scale,
+        y: (container.clientHeight / 2 - offset.y) / scale
+    };
+}
 
-                if (width > maxWidth || height > maxHeight) {
-                    const ratio = Math.min(maxWidth / width, maxHeight / height);
-                    width *= ratio;
-                    height *= ratio;
-                }
+// Insert copied elements centered on the given position and select them
+function pasteElements(elements, at) {
+    const bounds = getCombinedBounds(elements);
+    setTool('select');
+    selectedIds = insertCopies(
+        elements,
+        at.x - (bounds.x + bounds.width / 2),
+        at.y - (bounds.y + bounds.height / 2)
+    );
+    console.log('📋 Pasted', selectedIds.length, 'elements');
+    render();
+}
 
-                const el = {
-                    type: 'image',
-                    data: 'https://ahdboard.onrender.com' + result.url,
-                    x: (container.clientWidth/2 - width/2) / scale - offset.x/scale,
-                    y: (container.clientHeight/2 - height/2) / scale - offset.y/scale,
-                    width: width,
-                    height: height
-                };
-                paths.push(el);
-                socket.emit('new_element', { room: currentRoom, element: el });
-                render();
-            };
-            img.crossOrigin = 'anonymous'; // Enable CORS for images
-            img.src = 'https://ahdboard.onrender.com' + result.url;
+// Our own copy wins if its marker is on the clipboard, then an image from another app.
+// If the copy never made it to the system clipboard, it is pasted either way.
+function pasteFromClipboard(text, imageFile, at) {
+    const copied = readStoredClipboard();
+    if (copied && text === CLIPBOARD_MARKER + copied.id) {
+        pasteElements(copied.elements, at);
+    } else if (imageFile) {
+        uploadImage(imageFile, at);
+    } else if (copied && !copied.inSystemClipboard) {
+        pasteElements(copied.elements, at);
+    }
+}
+
+// Paste through the async clipboard API - for the long-press menu, which has no paste event
+async function pasteFromSystemClipboard(at) {
+    let text = '';
+    let imageFile = null;
+    try {
+        const items = await navigator.clipboard.read();
+        for (const item of items) {
+            const imageType = item.types.find(type => type.startsWith('image/'));
+            if (imageType && !imageFile) {
+                const blob = await item.getType(imageType);
+                imageFile = new File([blob], 'clipboard.' + imageType.split('/')[1], { type: imageType });
+            }
+            if (item.types.includes('text/plain')) {
+                text = await (await item.getType('text/plain')).text();
+            }
         }
     } catch (error) {
-        console.error('Upload failed:', error);
-        alert('Bild-Upload fehlgeschlagen');
+        console.warn('Could not read the clipboard:', error);
     }
-
-    e.target.value = '';
+    pasteFromClipboard(text, imageFile, at);
 }
 
-// ========== TEXT EDITOR ==========
-function openTextEditor(clientX, clientY) {
-    const toolbar = document.getElementById('toolbar');
-    const toolbarRect = toolbar.getBoundingClientRect();
-
-    if (clientX >= toolbarRect.left && clientX <= toolbarRect.right &&
-        clientY >= toolbarRect.top && clientY <= toolbarRect.bottom) {
-        console.log('Ignoring text editor on toolbar');
-        return;
-    }
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'c') return;
+    if (selectedIds.length === 0 || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    e.preventDefault();
+    copySelection();
+});
 
-    const textarea = document.createElement('textarea');
-    textarea.className = 'text-editor';
-    textarea.style.left = clientX + 'px';
-    textarea.style.top = clientY + 'px';
-    textarea.style.fontSize = textSize + 'px';
-    container.appendChild(textarea);
-    textarea.focus();
+document.addEventListener('paste', (e) => {
+    if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const imageFile = Array.from(e.clipboardData.files).find(file => file.type.startsWith('image/'));
+    e.preventDefault();
+    pasteFromClipboard(e.clipboardData.getData('text/plain'), imageFile, lastCursorPos || viewCenter());
+});
 
-    textarea.addEventListener('blur', () => {
-        if (textarea.value.trim() !== "") {
-            const worldPos = getModelPos(clientX, clientY);
-            const el = {
-                type: 'text',
-                content: textarea.value,
-                x: worldPos.x,
-                y: worldPos.y,
-                color: colorPicker.value,
-                textSize: textSize
-            };
-            paths.push(el);
-            socket.emit('new_element', { room: currentRoom, element: el });
-        }
-        textarea.remove();
-        render();
+// Long press (touch) or right click opens a small copy/paste menu
+function openClipboardMenu(clientX, clientY) {
+    const menu = document.getElementById('clipboardMenu');
+    clipboardMenuPos = getModelPos(clientX, clientY);
+    clipboardMenuOpenedAt = Date.now();
+    menu.querySelectorAll('[data-needs-selection]').forEach(button => {
+        button.disabled = selectedIds.length === 0;
     });
+    menu.style.left = clientX + 'px';
+    menu.style.top = clientY + 'px';
+    menu.style.display = 'block';
+}
+
+function closeClipboardMenu() {
+    document.getElementById('clipboardMenu').style.display = 'none';
 }
 
+function clipboardMenuAction(action) {
+    closeClipboardMenu();
+    if (action === 'copy') {
+        copySelection();
+    } else if (action === 'paste') {
+        pasteFromSystemClipboard(clipboardMenuPos);
+    } else if (action === 'duplicate') {
+        duplicateSelection();
+    }
+}
+
+container.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    openClipboardMenu(e.clientX, e.clientY);
+});
+
 // ========== CLEAR ALL ==========
 function clearAll() {
     if (!confirm("Alles löschen?")) return;
-    paths = [];
-    selectedImage = null;
+    // Only deletes what this client can see - strokes others add meanwhile survive
+    deleteElements(paths.map(p => p.id));
+    selectedImageId = null;
     render();
-    syncToServer();
 }
 
 // ========== DELETE OBJECT ==========
 function deleteObjectAt(pos) {
     const threshold = 30 / scale;
-    let changed = false;
+    const removedIds = [];
 
-    paths = paths.filter(p => {
+    paths.forEach(p => {
         let hit = false;
         if (p.type === 'line') {
             hit = p.points.some(pt => Math.hypot(pt.x - pos.x, pt.y - pos.y) < threshold);
@@ -2226,20 +5070,21 @@ function deleteObjectAt(pos) {
             if (hit) {
                 console.log('🗑️ Deleting game at', p.x, p.y);
             }
-        } else if (p.type === 'image') {
-            hit = (pos.x >= p.x && pos.x <= p.x + p.width &&
-                   pos.y >= p.y && pos.y <= p.y + p.height);
+        } else if (p.type === 'image' || p.type === 'sticky') {
+            hit = isPointInImage(p, pos);
+        } else if (p.type === 'arrow') {
+            hit = isPointNearArrow(p, pos, threshold);
         } else if (p.type === 'text') {
-            hit = (pos.x >= p.x && pos.x <= p.x + 150 &&
-                   pos.y >= p.y && pos.y <= p.y + 30);
+            const b = getElementBounds(p);
+            hit = (pos.x >= b.x && pos.x <= b.x + b.width &&
+                   pos.y >= b.y && pos.y <= b.y + b.height);
         }
-        if (hit) changed = true;
-        return !hit;
+        if (hit) removedIds.push(p.id);
     });
 
-    if (changed) {
+    if (removedIds.length > 0) {
+        deleteElements(removedIds);
         render();
-        syncToServer();
     }
 }
 
@@ -2270,25 +5115,24 @@ function sign(p1, p2, p3) {
 }
 
 // ========== PING PONG GAME LOGIC ==========
-const pingPongLoops = {}; // Track active game loops
+const pingPongLoops = {}; // Active game loops by game id
 
-function startPingPongLoop(gameIndex) {
+function startPingPongLoop(gameId) {
     // Prevent multiple loops for same game
-    if (pingPongLoops[gameIndex]) {
+    if (pingPongLoops[gameId]) {
         return;
     }
 
-    console.log('🎮 Starting Ping Pong loop for game', gameIndex);
+    console.log('🎮 Starting Ping Pong loop for game', gameId);
 
-    pingPongLoops[gameIndex] = setInterval(() => {
-        if (!paths[gameIndex] || paths[gameIndex].type !== 'game' || paths[gameIndex].gameType !== 'pingpong') {
-            clearInterval(pingPongLoops[gameIndex]);
-            delete pingPongLoops[gameIndex];
+    pingPongLoops[gameId] = setInterval(() => {
+        const game = getElementById(gameId);
+        if (!game || game.type !== 'game' || game.gameType !== 'pingpong') {
+            clearInterval(pingPongLoops[gameId]);
+            delete pingPongLoops[gameId];
             return;
         }
 
-        const game = paths[gameIndex];
-
         // Don't update if game is over or not started
         if (game.winner || !game.gameStarted || game.paused) {
             return;
@@ -2342,34 +5186,40 @@ function startPingPongLoop(gameIndex) {
                 game.ball.dy = (hitPos - 0.5) * 8;
             }
 
+            // The right paddle belongs to the other player - only send it when its score changes
+            let scoreChanged = false;
+
             // Scoring - ball goes off left side
             if (game.ball.x - game.ball.radius <= 0) {
+                scoreChanged = true;
                 game.paddleRight.score++;
                 resetBall(game);
 
                 // Check for winner
                 if (game.paddleRight.score >= 7) {
                     game.winner = 'right';
-                    clearInterval(pingPongLoops[gameIndex]);
-                    delete pingPongLoops[gameIndex];
+                    clearInterval(pingPongLoops[gameId]);
+                    delete pingPongLoops[gameId];
                 }
             }
 
             // Scoring - ball goes off right side
             if (game.ball.x + game.ball.radius >= game.width) {
+                scoreChanged = true;
                 game.paddleLeft.score++;
                 resetBall(game);
 
                 // Check for winner
                 if (game.paddleLeft.score >= 7) {
                     game.winner = 'left';
-                    clearInterval(pingPongLoops[gameIndex]);
-                    delete pingPongLoops[gameIndex];
+                    clearInterval(pingPongLoops[gameId]);
+                    delete pingPongLoops[gameId];
                 }
             }
 
             // Sync game state to other players
-            socket.emit('game_move', { room: currentRoom, gameIndex: gameIndex, game: game });
+            const fields = ['ball', 'paddleLeft', 'winner', 'lastUpdate'];
+            emitGameMove(game, scoreChanged ? fields.concat('paddleRight') : fields);
         }
 
         render();
@@ -2391,3 +5241,4 @@ document.getElementById('chatInput').addEventListener('keypress', (e) => {
 
 // ========== INITIALIZE ==========
 init();
+initProfileEditor();
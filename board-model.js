@@ -0,0 +1,202 @@
+// ========== BOARD MODEL ==========
+// Conflict-free board state shared by server.js and app.js.
+//
+// The board is an ordered map of elements keyed by id. Every field of an element
+// is a last-writer-wins register, and deletion is just another register (the
+// tombstone), so operations can arrive in any order and every replica that has
+// seen the same operations ends up with the same board.
+//
+// Each operation carries a stamp [counter, site]: a Lamport counter plus the id of
+// the replica that created it. Stamps are compared by counter first and site second,
+// which gives every pair of concurrent writes the same winner everywhere.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BoardModel = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Entries are keyed by element id; without a prototype an id like "__proto__"
+    // or "constructor" is just another key
+    function createBoard() {
+        return {
+            clock: 0,
+            entries: Object.create(null)
+        };
+    }
+
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    function compareStamps(a, b) {
+        if (!a) return b ? -1 : 0;
+        if (!b) return 1;
+        if (a[0] !== b[0]) return a[0] - b[0];
+        return a[1] < b[1] ? -1 : (a[1] > b[1] ? 1 : 0);
+    }
+
+    // Stamp for a new local operation
+    function nextStamp(board, site) {
+        board.clock++;
+        return [board.clock, site];
+    }
+
+    function observeStamp(board, stamp) {
+        if (stamp && stamp[0] > board.clock) {
+            board.clock = stamp[0];
+        }
+    }
+
+    function getEntry(board, id) {
+        if (!hasOwn(board.entries, id)) {
+            board.entries[id] = {
+                id: id,
+                order: null,         // Stamp of the first add - defines the z-order
+                value: { id: id },
+                stamps: {},
+                deleted: false,
+                deletedStamp: null,
+                clearedStamp: null   // Newest delete - field writes older than it are void
+            };
+        }
+        return board.entries[id];
+    }
+
+    function setField(entry, key, value, stamp) {
+        if (key === 'id' || key === '__proto__') return false;
+        if (compareStamps(stamp, entry.clearedStamp) <= 0) return false;
+        if (compareStamps(stamp, entry.stamps[key]) <= 0) return false;
+        entry.value[key] = value;
+        entry.stamps[key] = stamp;
+        return true;
+    }
+
+    function setDeleted(entry, deleted, stamp) {
+        if (compareStamps(stamp, entry.deletedStamp) <= 0) return false;
+        const changed = entry.deleted !== deleted;
+        entry.deleted = deleted;
+        entry.deletedStamp = stamp;
+        return changed;
+    }
+
+    // A delete drops every field written before it, whether that write arrived before
+    // or after the delete (setField ignores older writes), so all replicas agree.
+    // Whoever restores the element (undo, history) sends the full element again.
+    function clearFields(entry, stamp) {
+        if (compareStamps(stamp, entry.clearedStamp) <= 0) return;
+        entry.clearedStamp = stamp;
+        Object.keys(entry.stamps).forEach(key => {
+            if (compareStamps(entry.stamps[key], stamp) < 0) {
+                delete entry.value[key];
+                delete entry.stamps[key];
+            }
+        });
+    }
+
+    // Apply one operation. Returns true when the set or order of visible elements changed.
+    //   { type: 'add', element, stamp }
+    //   { type: 'update', id, patch, stamp }
+    //   { type: 'delete', ids, stamp }
+    function applyOp(board, op) {
+        observeStamp(board, op.stamp);
+
+        switch (op.type) {
+            case 'add': {
+                const entry = getEntry(board, op.element.id);
+                let changed = false;
+                if (!entry.order || compareStamps(op.stamp, entry.order) < 0) {
+                    entry.order = op.stamp;
+                    changed = true;
+                }
+                if (setDeleted(entry, false, op.stamp)) changed = true;
+                Object.keys(op.element).forEach(key => {
+                    setField(entry, key, op.element[key], op.stamp);
+                });
+                return changed && !entry.deleted;
+            }
+
+            case 'update': {
+                const entry = getEntry(board, op.id);
+                Object.keys(op.patch).forEach(key => {
+                    setField(entry, key, op.patch[key], op.stamp);
+                });
+                return false;
+            }
+
+            case 'delete': {
+                let changed = false;
+                op.ids.forEach(id => {
+                    const entry = getEntry(board, id);
+                    clearFields(entry, op.stamp);
+                    if (setDeleted(entry, true, op.stamp)) changed = true;
+                });
+                return changed;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    function isVisible(entry) {
+        return entry.order !== null && !entry.deleted;
+    }
+
+    function hasElement(board, id) {
+        return hasOwn(board.entries, id) && isVisible(board.entries[id]);
+    }
+
+    function getElement(board, id) {
+        return hasElement(board, id) ? board.entries[id].value : null;
+    }
+
+    // Visible elements in z-order. The returned objects are the live values.
+    function elements(board) {
+        return Object.values(board.entries)
+            .filter(isVisible)
+            .sort((a, b) => compareStamps(a.order, b.order))
+            .map(entry => entry.value);
+    }
+
+    // Board from its JSON form (snapshot, canvas_data). Entries that are not objects are dropped.
+    function fromJSON(data) {
+        const board = createBoard();
+        if (!data || typeof data !== 'object') return board;
+        board.clock = Number.isSafeInteger(data.clock) && data.clock > 0 ? data.clock : 0;
+        const entries = data.entries && typeof data.entries === 'object' ? data.entries : {};
+        Object.keys(entries).forEach(id => {
+            const entry = entries[id];
+            if (!entry || typeof entry !== 'object' || !entry.value || typeof entry.value !== 'object') return;
+            board.entries[id] = {
+                ...entry,
+                id: id,
+                value: { ...entry.value, id: id },
+                stamps: entry.stamps && typeof entry.stamps === 'object' ? { ...entry.stamps } : {}
+            };
+        });
+        return board;
+    }
+
+    // Build a board from a plain element array (boards saved before the model existed)
+    function fromElements(list, site) {
+        const board = createBoard();
+        list.forEach(element => {
+            applyOp(board, { type: 'add', element: element, stamp: nextStamp(board, site) });
+        });
+        return board;
+    }
+
+    return {
+        createBoard,
+        compareStamps,
+        nextStamp,
+        applyOp,
+        hasElement,
+        getElement,
+        elements,
+        fromJSON,
+        fromElements
+    };
+});
@@ -4,11 +4,18 @@ const { Server } = require('socket.io');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const BoardModel = require('./board-model');
+
+// Largest single socket message. Files go through /upload, so this only has to fit
+// big strokes and boards from older versions that still contain inline images.
+const MAX_PAYLOAD_BYTES = Number(process.env.MAX_PAYLOAD_BYTES) || 5 * 1024 * 1024;
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
-    maxHttpBufferSize: 1e8,
+    maxHttpBufferSize: MAX_PAYLOAD_BYTES,
     cors: {
         origin: "*",
         methods: ["GET", "POST"]
@@ -21,104 +28,1927 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir);
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
-    }
-});
+// ========== UPLOADS ==========
+// Uploads are stored under the SHA-256 of their content (uploads/<hash>.<ext>), so the
+// same file uploaded twice is kept once and both boards point to the same URL.
+// The type comes from the file's first bytes, not from its name or the browser.
+const UPLOAD_TYPES = [
+    { mime: 'image/png', extension: '.png', matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mime: 'image/jpeg', extension: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: 'image/gif', extension: '.gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+    { mime: 'image/webp', extension: '.webp', matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+    { mime: 'application/pdf', extension: '.pdf', matches: (b) => b.toString('latin1', 0, 5) === '%PDF-' }
+];
 
+function detectUploadType(buffer) {
+    return UPLOAD_TYPES.find(type => buffer.length >= 12 && type.matches(buffer)) || null;
+}
+
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // 50MB limit
+
+// Files are kept in memory until they are hashed and checked
 const upload = multer({
-    storage: storage,
-    limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
-// Serve static files
-app.use(express.static(__dirname));
-app.use('/uploads', express.static(uploadsDir));
+// Serve static files - uploads first: content-addressed files never change
+app.use('/uploads', express.static(uploadsDir, { maxAge: '1y', immutable: true }));
+
+// Only the client files are served from the app directory - the room data, the
+// server source and node_modules live next to them
+const CLIENT_FILES = ['index.html', 'app.js', 'board-model.js', 'styles.css'];
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+CLIENT_FILES.forEach(file => {
+    app.get('/' + file, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
+
+// Client settings. The client talks to the server it was loaded from; PUBLIC_URL is
+// only needed for share links when the server sits behind a proxy with another address.
+app.get('/config.json', (req, res) => {
+    res.json({
+        publicUrl: process.env.PUBLIC_URL || '',
+        maxUploadBytes: MAX_UPLOAD_BYTES,
+        imageVariantSizes: IMAGE_VARIANT_SIZES
+    });
+});
+
+// Boards store uploads as /uploads/<file>. Older boards have the host in front
+// (https://ahdboard.onrender.com/uploads/...), which ties them to one deployment.
+function relativeUploadUrl(url) {
+    const match = typeof url === 'string' && url.match(/^https?:\/\/[^/]+(\/uploads\/[^?#]*)$/);
+    return match ? match[1] : url;
+}
+
+// Rewrite absolute upload URLs of a loaded board; returns true if anything changed
+function relativizeUploadUrls(board) {
+    let changed = false;
+    BoardModel.elements(board).forEach(element => {
+        if (element.type !== 'image') return;
+        const data = relativeUploadUrl(element.data);
+        if (data !== element.data) {
+            element.data = data;
+            changed = true;
+        }
+        Object.keys(element.variants || {}).forEach(size => {
+            const url = relativeUploadUrl(element.variants[size]);
+            if (url !== element.variants[size]) {
+                element.variants[size] = url;
+                changed = true;
+            }
+        });
+    });
+    return changed;
+}
+
+// An existing file may be an orphan about to be collected - it is about to be used again
+function touchUploadFile(filePath) {
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+}
+
+// Store a file under its final name. Returns false if it was already there.
+function storeUploadFile(filename, buffer) {
+    const filePath = path.join(uploadsDir, filename);
+    if (fs.existsSync(filePath)) {
+        touchUploadFile(filePath);
+        return false;
+    }
+    // Write under a temporary name so a half-written file never gets the final name
+    const tempPath = filePath + '.' + process.pid + '.tmp';
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, filePath);
+    return true;
+}
+
+// Downscaled copies so the client can draw small images without decoding the full
+// photo: uploads/<hash>.w<size>.webp, longest side <size>. Only sizes below the
+// original are made. GIFs keep just the original so animations survive.
+const IMAGE_VARIANT_SIZES = [256, 1024];
+
+async function createImageVariants(hash, buffer, type) {
+    const variants = { original: '/uploads/' + hash + type.extension };
+    if (!type.mime.startsWith('image/') || type.mime === 'image/gif') {
+        return variants;
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+    for (const size of IMAGE_VARIANT_SIZES) {
+        if (size >= Math.max(width, height)) break;
+
+        const filename = `${hash}.w${size}.webp`;
+        const filePath = path.join(uploadsDir, filename);
+        if (fs.existsSync(filePath)) {
+            touchUploadFile(filePath);
+        } else {
+            const resized = await sharp(buffer)
+                .rotate() // Apply EXIF orientation like the browser does for the original
+                .resize(size, size, { fit: 'inside' })
+                .webp({ quality: 80 })
+                .toBuffer();
+            storeUploadFile(filename, resized);
+        }
+        variants[size] = '/uploads/' + filename;
+    }
+    return variants;
+}
 
 // File upload endpoint
-app.post('/upload', upload.single('file'), (req, res) => {
+app.post('/upload', upload.single('file'), async (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
     }
-    const fileUrl = '/uploads/' + req.file.filename;
-    console.log('File uploaded:', fileUrl);
+
+    const type = detectUploadType(req.file.buffer);
+    if (!type) {
+        console.warn(`⚠️ Rejected upload ${req.file.originalname}: not an image or PDF`);
+        return res.status(415).json({ error: 'Only images (PNG, JPEG, GIF, WebP) and PDFs are allowed' });
+    }
+
+    const hash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const filename = hash + type.extension;
+
+    let variants;
+    try {
+        variants = await createImageVariants(hash, req.file.buffer, type);
+    } catch (error) {
+        console.warn(`⚠️ Rejected upload ${req.file.originalname}: ${error.message}`);
+        return res.status(415).json({ error: 'Image could not be read' });
+    }
+
+    let duplicate;
+    try {
+        duplicate = !storeUploadFile(filename, req.file.buffer);
+    } catch (error) {
+        console.error('❌ Could not store upload:', error.message);
+        return res.status(500).json({ error: 'Upload could not be stored' });
+    }
+
+    const fileUrl = '/uploads/' + filename;
+    console.log(duplicate ? 'Upload already stored:' : 'File uploaded:', fileUrl);
     res.json({
         success: true,
         url: fileUrl,
-        filename: req.file.filename
+        filename: filename,
+        hash: hash,
+        mime: type.mime,
+        duplicate: duplicate,
+        variants: variants
     });
 });
 
-// In-memory storage for rooms
-const roomStorage = {};
+// In-memory storage for rooms. Maps keyed by room id have no prototype, so no room
+// id can resolve to an inherited member.
+const roomStorage = Object.create(null);
+
+// ========== PERSISTENCE ==========
+// Every change to a room is appended as one JSON line to data/<room>.log.
+// The log is compacted into data/<room>.json snapshots, so a restart only
+// has to read the last snapshot and replay the few entries written after it.
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+}
+
+const LOG_FLUSH_INTERVAL = 1000;        // Write pending log entries every second
+const SNAPSHOT_INTERVAL = 30 * 1000;    // Compact changed rooms every 30 seconds
+const SNAPSHOT_MAX_LOG_ENTRIES = 500;   // ...or as soon as the log gets this long
+
+// Bookkeeping per loaded room: sequence number, unwritten log lines, log length
+const roomPersistence = Object.create(null);
+
+// Summary per room, so the room list and the upload sweep do not have to read every
+// board: { elements, lastActivity, uploads }. Loaded rooms keep counts up to date with
+// every operation and their upload names with every snapshot; rooms only on disk are
+// read once.
+const roomSummaries = Object.create(null);
+
+function summarizeRoom(room) {
+    const elements = roomElements(room);
+    return {
+        elements: elements.length,
+        lastActivity: room.lastActivity,
+        uploads: Array.from(uploadsReferencedBy(elements))
+    };
+}
+
+function roomSummary(roomId) {
+    if (!roomSummaries[roomId]) {
+        roomSummaries[roomId] = summarizeRoom(peekRoom(roomId));
+    }
+    return roomSummaries[roomId];
+}
+
+function roomFilePath(roomId, extension) {
+    return path.join(dataDir, encodeURIComponent(String(roomId)) + extension);
+}
+
+function createEmptyRoom() {
+    return {
+        board: BoardModel.createBoard(),
+        chat: [],
+        background: 'dots',
+        lastActivity: null
+    };
+}
+
+// Site id for operations the server creates itself (stamps are [counter, site])
+const SERVER_SITE = 'server';
+
+function serverStamp(room) {
+    return BoardModel.nextStamp(room.board, SERVER_SITE);
+}
+
+// Visible elements of a room in z-order
+function roomElements(room) {
+    return BoardModel.elements(room.board);
+}
+
+function createElementId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+// Apply one logged operation to a room. Used for live changes and for replay.
+function applyRoomOp(room, op) {
+    switch (op.type) {
+        case 'add':
+        case 'update':
+        case 'delete':
+            if (op.stamp) {
+                BoardModel.applyOp(room.board, op);
+            } else {
+                upgradeLegacyOp(room, op).forEach(stamped => BoardModel.applyOp(room.board, stamped));
+            }
+            break;
+        case 'replace': // Whole-board sync, only found in logs written by older versions
+        case 'game':    // Index or id based game update, only found in older logs
+            upgradeLegacyOp(room, op).forEach(stamped => BoardModel.applyOp(room.board, stamped));
+            break;
+        case 'chat':
+            room.chat.push(op.entry);
+            break;
+        case 'background':
+            room.background = op.background;
+            break;
+        case 'chat_reset': // Chat replaced by an import
+            room.chat = op.entries.slice();
+            break;
+        default:
+            console.warn(`⚠️ Unknown room operation: ${op.type}`);
+    }
+}
+
+// Translate operations from logs written before the board model into stamped ones
+function upgradeLegacyOp(room, op) {
+    const withId = (element) => (element.id ? element : { ...element, id: createElementId() });
+
+    switch (op.type) {
+        case 'add':
+            return [{ type: 'add', element: withId(op.element), stamp: serverStamp(room) }];
+        case 'update':
+            return [{ type: 'update', id: op.id, patch: op.patch, stamp: serverStamp(room) }];
+        case 'delete':
+            return [{ type: 'delete', ids: op.ids, stamp: serverStamp(room) }];
+        case 'replace': {
+            const ids = roomElements(room).map(el => el.id);
+            return [{ type: 'delete', ids, stamp: serverStamp(room) }]
+                .concat(op.elements.map(el => ({ type: 'add', element: withId(el), stamp: serverStamp(room) })));
+        }
+        case 'game': {
+            const target = op.id !== undefined ? BoardModel.getElement(room.board, op.id) : roomElements(room)[op.gameIndex];
+            if (!target) return [];
+            const { id, ...game } = op.game;
+            return [{ type: 'update', id: target.id, patch: game, stamp: serverStamp(room) }];
+        }
+        default:
+            return [];
+    }
+}
+
+// Load a room from disk on first access (snapshot + log replay)
+function loadRoom(roomId) {
+    if (roomStorage[roomId]) {
+        return roomStorage[roomId];
+    }
+
+    const { room, seq, logEntries, migrated } = readRoomFiles(roomId);
+    roomStorage[roomId] = room;
+    roomPersistence[roomId] = { seq, pending: [], logEntries };
+    roomSummaries[roomId] = summarizeRoom(room);
+    measureRoom(roomId);
+
+    // Older data got ids, stamps and relative URLs while loading; the snapshot makes them stick
+    if (migrated) {
+        roomPersistence[roomId].seq++;
+        writeRoomSnapshot(roomId);
+        console.log(`🆔 Migrated room ${roomId} to the current board format`);
+    }
+
+    if (seq > 0) {
+        console.log(`💾 Loaded room ${roomId} from disk (${roomElements(room).length} elements, ${logEntries} log entries replayed)`);
+    }
+    return room;
+}
+
+// A room for reading only: the loaded one, or its state on disk without keeping it
+// in memory. Listing all rooms or sweeping uploads would otherwise load every board.
+function peekRoom(roomId) {
+    return roomStorage[roomId] || readRoomFiles(roomId).room;
+}
+
+// Build a room from its snapshot and log
+function readRoomFiles(roomId) {
+    const room = createEmptyRoom();
+    let seq = 0;
+    let migrated = false;
+
+    const snapshotPath = roomFilePath(roomId, '.json');
+    if (fs.existsSync(snapshotPath)) {
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            if (snapshot.board) {
+                room.board = BoardModel.fromJSON(snapshot.board);
+            } else if (snapshot.elements) {
+                // Snapshot from before the board model: plain element array, maybe without ids
+                room.board = BoardModel.fromElements(
+                    snapshot.elements.map(el => (el.id ? el : { ...el, id: createElementId() })),
+                    SERVER_SITE
+                );
+                migrated = true;
+            }
+            room.chat = snapshot.chat || [];
+            room.background = snapshot.background || 'dots';
+            room.lastActivity = snapshot.lastActivity || snapshot.savedAt || null;
+            seq = snapshot.seq || 0;
+        } catch (error) {
+            console.error(`❌ Could not read snapshot for room ${roomId}:`, error.message);
+        }
+    }
+
+    let logEntries = 0;
+    const logPath = roomFilePath(roomId, '.log');
+    if (fs.existsSync(logPath)) {
+        const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const op = JSON.parse(line);
+                // Entries up to the snapshot's sequence number are already contained in it
+                if (op.seq <= seq) continue;
+                if (!op.stamp && ['add', 'update', 'delete', 'replace', 'game'].includes(op.type)) {
+                    migrated = true;
+                }
+                applyRoomOp(room, op);
+                if (op.time) room.lastActivity = op.time;
+                seq = op.seq;
+                logEntries++;
+            } catch (error) {
+                // A torn last line after a crash - everything before it is still valid
+                console.error(`❌ Skipping corrupt log line in room ${roomId}`);
+            }
+        }
+    }
+
+    if (relativizeUploadUrls(room.board)) {
+        migrated = true;
+    }
+    return { room, seq, logEntries, migrated };
+}
+
+// Apply an operation to a loaded room and queue it for the room's log
+function recordRoomOp(roomId, op) {
+    const room = roomStorage[roomId];
+    const state = roomPersistence[roomId];
+    if (!room || !state) return;
+
+    applyRoomOp(room, op);
+    room.lastActivity = Date.now();
+    trackRoomUsage(roomId, op);
+    roomSummaries[roomId].elements = roomUsage[roomId].sizes.size;
+    roomSummaries[roomId].lastActivity = room.lastActivity;
+
+    state.seq++;
+    state.pending.push(JSON.stringify({ ...op, seq: state.seq, time: room.lastActivity }));
+}
+
+// Apply an operation to a loaded room in memory only. For state that changes many
+// times a second and is not worth a log line each time (a running Ping Pong game);
+// it reaches the disk with the next snapshot.
+function applyTransientRoomOp(roomId, op) {
+    const room = roomStorage[roomId];
+    if (!room) return;
+    applyRoomOp(room, op);
+    trackRoomUsage(roomId, op);
+}
+
+// Fields a running game changes with every frame. Paddles also hold the score,
+// and a changed score is kept like any other change.
+const GAME_FRAME_FIELDS = ['ball', 'paddleLeft', 'paddleRight', 'lastUpdate'];
+
+function isGameFrame(room, gameId, patch) {
+    const game = BoardModel.getElement(room.board, gameId);
+    if (!game) return false;
+    return Object.keys(patch).every(key => {
+        if (key === 'paddleLeft' || key === 'paddleRight') {
+            return Boolean(game[key]) && game[key].score === patch[key].score;
+        }
+        return GAME_FRAME_FIELDS.includes(key) || JSON.stringify(game[key]) === JSON.stringify(patch[key]);
+    });
+}
+
+// Append queued entries to the room's log file
+function appendPendingLog(roomId) {
+    const state = roomPersistence[roomId];
+    if (!state || state.pending.length === 0) return true;
+
+    try {
+        fs.appendFileSync(roomFilePath(roomId, '.log'), state.pending.join('\n') + '\n');
+        state.logEntries += state.pending.length;
+        state.pending = [];
+        return true;
+    } catch (error) {
+        console.error(`❌ Could not write log for room ${roomId}:`, error.message);
+        return false;
+    }
+}
+
+function flushRoomLog(roomId) {
+    if (appendPendingLog(roomId) && roomPersistence[roomId].logEntries >= SNAPSHOT_MAX_LOG_ENTRIES) {
+        writeRoomSnapshot(roomId);
+    }
+}
+
+// Write the full room state and truncate the log it now contains
+function writeRoomSnapshot(roomId) {
+    const room = roomStorage[roomId];
+    const state = roomPersistence[roomId];
+    if (!room || !state) return;
+
+    const snapshotPath = roomFilePath(roomId, '.json');
+    const tempPath = snapshotPath + '.tmp';
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify({
+            seq: state.seq,
+            savedAt: Date.now(),
+            lastActivity: room.lastActivity,
+            board: room.board,
+            chat: room.chat,
+            background: room.background
+        }));
+        fs.renameSync(tempPath, snapshotPath);
+        roomSummaries[roomId] = summarizeRoom(room);
+        // Pending entries are part of the snapshot now, so the log can start over
+        fs.writeFileSync(roomFilePath(roomId, '.log'), '');
+        state.pending = [];
+        state.logEntries = 0;
+        console.log(`💾 Snapshot written for room ${roomId} (seq ${state.seq})`);
+    } catch (error) {
+        console.error(`❌ Could not write snapshot for room ${roomId}:`, error.message);
+    }
+}
+
+function flushAllRooms({ snapshot = false } = {}) {
+    for (const roomId of Object.keys(roomPersistence)) {
+        if (snapshot && (roomPersistence[roomId].logEntries > 0 || roomPersistence[roomId].pending.length > 0)) {
+            writeRoomSnapshot(roomId);
+        } else {
+            flushRoomLog(roomId);
+        }
+    }
+}
+
+setInterval(() => flushAllRooms(), LOG_FLUSH_INTERVAL).unref();
+setInterval(() => flushAllRooms({ snapshot: true }), SNAPSHOT_INTERVAL).unref();
+
+// Flush everything before the process goes away (deploys send SIGTERM)
+function shutdown(signal) {
+    console.log(`🛑 ${signal} received - writing all rooms to disk`);
+    flushAllRooms({ snapshot: true });
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// ========== ROOMS ==========
+// Room ids appear in URLs (/r/:roomId) and file names, so only a safe alphabet is allowed
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Room and element ids that match the patterns but name members of Object.prototype
+const RESERVED_IDS = ['__proto__', 'constructor', 'prototype'];
+
+function isValidRoomId(roomId) {
+    return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId) && !RESERVED_IDS.includes(roomId);
+}
+
+// Ids of all rooms - loaded ones and those only on disk so far
+function listRoomIds() {
+    const ids = new Set(Object.keys(roomStorage));
+    fs.readdirSync(dataDir).forEach(file => {
+        const match = file.match(/^(.+)\.(json|log)$/);
+        if (match) {
+            const roomId = decodeURIComponent(match[1]);
+            if (isValidRoomId(roomId)) ids.add(roomId);
+        }
+    });
+    return Array.from(ids);
+}
+
+// Every board is reachable under /r/:roomId - the client reads the id from the URL
+app.get('/r/:roomId', (req, res) => {
+    if (!isValidRoomId(req.params.roomId)) {
+        return res.status(404).send('Board nicht gefunden');
+    }
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// List rooms with element counts and last activity, most recent first
+app.get('/api/rooms', (req, res) => {
+    const rooms = listRoomIds().map(roomId => {
+        const summary = roomSummary(roomId);
+        const clients = io.sockets.adapter.rooms.get(roomId);
+        return {
+            id: roomId,
+            elements: summary.elements,
+            lastActivity: summary.lastActivity,
+            online: clients ? clients.size : 0
+        };
+    });
+    rooms.sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+    res.json({ rooms });
+});
+
+// ========== UPLOAD GARBAGE COLLECTION ==========
+// Files in uploads/ that no room references any more are deleted by a periodic sweep.
+// A file is only deleted once it has been unreferenced for the whole grace period and
+// was not written within it - an upload that is not on a board yet stays, and so does
+// an image whose element may still come back (undo, a client that was offline).
+const UPLOAD_GC_INTERVAL = Number(process.env.UPLOAD_GC_INTERVAL) || 60 * 60 * 1000;   // Sweep hourly
+const UPLOAD_GC_GRACE = Number(process.env.UPLOAD_GC_GRACE) || 24 * 60 * 60 * 1000;    // Keep orphans for a day
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// When each file was first seen unreferenced. Kept in memory only - a restart just
+// starts the grace period over, which errs on the side of keeping files.
+const orphanedSince = Object.create(null);
+
+// File names of the uploads the given elements point to (images, their variants, ...)
+function uploadsReferencedBy(elements, referenced = new Set()) {
+    elements.forEach(element => {
+        const matches = JSON.stringify(element).match(/\/uploads\/[A-Za-z0-9._-]+/g) || [];
+        matches.forEach(url => referenced.add(url.slice('/uploads/'.length)));
+    });
+    return referenced;
+}
+
+// File names of all uploads referenced by any room or any of its revisions. Rooms
+// count with their last snapshot; the grace period keeps an upload added since then
+// until the next snapshot lists it.
+function referencedUploads() {
+    const referenced = uploadsReferencedByHistory();
+    listRoomIds().forEach(roomId => {
+        roomSummary(roomId).uploads.forEach(file => referenced.add(file));
+    });
+    return referenced;
+}
+
+// One sweep. With dryRun nothing is deleted or remembered - it only reports.
+function collectUploadGarbage({ dryRun = false } = {}) {
+    const now = Date.now();
+    const referenced = referencedUploads();
+    const report = { referenced: 0, orphaned: [], deleted: [], freedBytes: 0 };
+
+    fs.readdirSync(uploadsDir).forEach(file => {
+        if (referenced.has(file)) {
+            report.referenced++;
+            if (!dryRun) delete orphanedSince[file];
+            return;
+        }
+
+        const filePath = path.join(uploadsDir, file);
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile()) return;
+
+        const since = orphanedSince[file] || now;
+        if (!dryRun) orphanedSince[file] = since;
+        const deletableAt = Math.max(since, stats.mtimeMs) + UPLOAD_GC_GRACE;
+
+        if (deletableAt > now) {
+            report.orphaned.push({ file, bytes: stats.size, orphanedSince: since, deletableAt });
+            return;
+        }
+
+        report.deleted.push({ file, bytes: stats.size });
+        report.freedBytes += stats.size;
+        if (!dryRun) {
+            try {
+                fs.unlinkSync(filePath);
+                delete orphanedSince[file];
+            } catch (error) {
+                console.error(`❌ Could not delete upload ${file}:`, error.message);
+            }
+        }
+    });
+
+    // Files that disappeared some other way
+    if (!dryRun) {
+        Object.keys(orphanedSince).forEach(file => {
+            if (!fs.existsSync(path.join(uploadsDir, file))) delete orphanedSince[file];
+        });
+    }
+    return report;
+}
+
+setInterval(() => {
+    try {
+        const report = collectUploadGarbage();
+        if (report.deleted.length > 0) {
+            console.log(`🧹 Deleted ${report.deleted.length} orphaned uploads (${report.freedBytes} bytes)`);
+        }
+    } catch (error) {
+        console.error('❌ Upload sweep failed:', error.message);
+    }
+}, UPLOAD_GC_INTERVAL).unref();
+
+// Admin endpoints need ADMIN_TOKEN, sent as "Authorization: Bearer <token>"
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({ error: 'Admin endpoints are disabled (ADMIN_TOKEN not set)' });
+    }
+    if (req.get('Authorization') !== 'Bearer ' + ADMIN_TOKEN) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Dry run: what the next sweep would delete, and which orphans are still in their grace period
+app.get('/api/admin/uploads/gc', requireAdmin, (req, res) => {
+    res.json({ dryRun: true, graceMs: UPLOAD_GC_GRACE, ...collectUploadGarbage({ dryRun: true }) });
+});
+
+// ========== VALIDATION ==========
+// Every payload from a client is checked before it is applied or relayed - a single
+// malformed element would otherwise break render() for everyone in the room.
+// Elements are checked against a schema per type: numbers are clamped to sane ranges,
+// unknown fields are dropped and unknown types are rejected. The sender gets an
+// 'error' event { event, code, message } for everything that is rejected.
+class ValidationError extends Error {
+    constructor(message, code = 'invalid_payload') {
+        super(message);
+        this.code = code;
+    }
+}
+
+function fail(message) {
+    throw new ValidationError(message);
+}
+
+const MAX_COORD = 1e6;
+const MAX_POINTS = 20000;
+const ELEMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BACKGROUNDS = ['white', 'dots', 'grid', 'lines', 'dark', 'blueprint'];
+
+// Lookup in a table by a client-supplied key; inherited members like "constructor"
+// or "toString" are not entries
+function ownValue(table, key) {
+    return typeof key === 'string' && Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+// Field checkers return the (clamped) value or throw
+const check = {
+    number(min, max) {
+        return (value, name) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(`${name} must be a number`);
+            return Math.min(max, Math.max(min, value));
+        };
+    },
+    integer(min, max) {
+        const number = check.number(min, max);
+        return (value, name) => Math.round(number(value, name));
+    },
+    string(maxLength) {
+        return (value, name) => {
+            if (typeof value !== 'string') fail(`${name} must be a string`);
+            return value.slice(0, maxLength);
+        };
+    },
+    boolean() {
+        return (value, name) => {
+            if (typeof value !== 'boolean') fail(`${name} must be true or false`);
+            return value;
+        };
+    },
+    color() {
+        return (value, name) => {
+            if (typeof value !== 'string' || !/^#[0-9a-fA-F]{3,8}$/.test(value)) fail(`${name} must be a hex color`);
+            return value;
+        };
+    },
+    oneOf(...values) {
+        return (value, name) => {
+            if (!values.includes(value)) fail(`${name} must be one of ${values.join(', ')}`);
+            return value;
+        };
+    },
+    nullable(checker) {
+        return (value, name) => (value === null ? null : checker(value, name));
+    },
+    // Uploaded file (/uploads/...), absolute URL or an inline data URL from older boards.
+    // Uploads are always stored relative, whatever host an older client put in front.
+    url() {
+        return (value, name) => {
+            if (typeof value !== 'string' || !/^(\/|https?:\/\/|data:image\/)/.test(value)) fail(`${name} must be a URL`);
+            return relativeUploadUrl(value);
+        };
+    },
+    array(checker, minLength, maxLength) {
+        return (value, name) => {
+            if (!Array.isArray(value)) fail(`${name} must be an array`);
+            if (value.length < minLength || value.length > maxLength) {
+                fail(`${name} must have ${minLength}-${maxLength} entries`);
+            }
+            return value.map((item, i) => checker(item, `${name}[${i}]`));
+        };
+    },
+    // Object whose keys are all optional, e.g. { 256: url, 1024: url }
+    record(keys, checker) {
+        return (value, name) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) fail(`${name} must be an object`);
+            const result = {};
+            keys.forEach(key => {
+                if (value[key] !== undefined) result[key] = checker(value[key], `${name}.${key}`);
+            });
+            return result;
+        };
+    },
+    object(fields) {
+        return (value, name) => {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) fail(`${name} must be an object`);
+            const result = {};
+            Object.keys(fields).forEach(key => {
+                if (!(key in value)) fail(`${name}.${key} is missing`);
+                result[key] = fields[key](value[key], `${name}.${key}`);
+            });
+            return result;
+        };
+    }
+};
+
+const coord = check.number(-MAX_COORD, MAX_COORD);
+const size = check.number(0, MAX_COORD);
+const point = check.object({ x: coord, y: coord });
+const playerId = check.nullable(check.string(64));
+const paddle = check.object({ x: coord, y: coord, width: size, height: size, score: check.integer(0, 1000) });
+
+// fields: allowed fields and their checkers, required: list or function of the element
+const ELEMENT_SCHEMAS = {
+    line: {
+        required: ['points'],
+        fields: {
+            points: check.array(point, 1, MAX_POINTS),
+            color: check.color(),
+            brushSize: check.number(0.5, 200),
+            tool: check.oneOf('pen', 'marker', 'highlighter', 'shape'),
+            opacity: check.number(0, 1)
+        }
+    },
+    shape: {
+        required: (element) => (ownValue({
+            line: ['points'],
+            triangle: ['points'],
+            square: ['x', 'y', 'width', 'height'],
+            rectangle: ['x', 'y', 'width', 'height'],
+            circle: ['x', 'y', 'radius'],
+            ellipse: ['x', 'y', 'radiusX', 'radiusY']
+        }, element.shapeType) || []).concat('shapeType'),
+        fields: {
+            shapeType: check.oneOf('line', 'triangle', 'square', 'rectangle', 'circle', 'ellipse'),
+            color: check.color(),
+            brushSize: check.number(0.5, 200),
+            points: check.array(point, 2, 16),
+            x: coord,
+            y: coord,
+            width: size,
+            height: size,
+            radius: size,
+            radiusX: size,
+            radiusY: size
+        }
+    },
+    text: {
+        required: ['content', 'x', 'y'],
+        fields: {
+            content: check.string(10000),
+            x: coord,
+            y: coord,
+            color: check.color(),
+            textSize: check.number(6, 400),
+            bold: check.boolean(),
+            italic: check.boolean(),
+            underline: check.boolean(),
+            fontFamily: check.oneOf('sans', 'serif', 'mono', 'hand'),
+            align: check.oneOf('left', 'center', 'right'),
+            markdown: check.boolean(),
+            // Wrapping width; without it lines only break at line breaks
+            width: check.nullable(size)
+        }
+    },
+    // Arrow between two points; an end with startId / endId follows that element
+    arrow: {
+        required: ['start', 'end'],
+        fields: {
+            start: point,
+            end: point,
+            startId: check.nullable(checkElementId),
+            endId: check.nullable(checkElementId),
+            routing: check.oneOf('straight', 'elbow', 'curved'),
+            startHead: check.oneOf('none', 'arrow', 'triangle', 'dot'),
+            endHead: check.oneOf('none', 'arrow', 'triangle', 'dot'),
+            color: check.color(),
+            brushSize: check.number(0.5, 200)
+        }
+    },
+    // Sticky note: paper color in color, height grows with the text
+    sticky: {
+        required: ['x', 'y', 'width', 'height'],
+        fields: {
+            content: check.string(10000),
+            x: coord,
+            y: coord,
+            width: check.number(40, MAX_COORD),
+            height: check.number(40, MAX_COORD),
+            color: check.color(),
+            textSize: check.number(6, 400)
+        }
+    },
+    image: {
+        required: ['data', 'x', 'y', 'width', 'height'],
+        fields: {
+            data: check.url(),
+            variants: check.record(['256', '1024', 'original'], check.url()),
+            x: coord,
+            y: coord,
+            width: check.number(1, MAX_COORD),
+            height: check.number(1, MAX_COORD),
+            // Rotation in radians around the center, mirroring, and the visible part of the
+            // source image as fractions of its size (the file itself is never cropped)
+            rotation: check.number(-Math.PI * 2, Math.PI * 2),
+            flipX: check.boolean(),
+            flipY: check.boolean(),
+            crop: check.nullable(check.object({
+                x: check.number(0, 1),
+                y: check.number(0, 1),
+                width: check.number(0.01, 1),
+                height: check.number(0.01, 1)
+            }))
+        }
+    },
+    game: {
+        required: (element) => (ownValue({
+            tictactoe: ['x', 'y', 'size', 'board'],
+            pingpong: ['x', 'y', 'width', 'height', 'ball', 'paddleLeft', 'paddleRight']
+        }, element.gameType) || []).concat('gameType'),
+        fields: {
+            gameType: check.oneOf('tictactoe', 'pingpong'),
+            x: coord,
+            y: coord,
+            // Tic Tac Toe
+            size: check.number(30, 5000),
+            board: check.array(check.nullable(check.oneOf('X', 'O')), 9, 9),
+            currentPlayer: check.oneOf('X', 'O'),
+            winLine: check.nullable(check.array(check.integer(0, 8), 3, 3)),
+            playerX: playerId,
+            playerO: playerId,
+            // Ping Pong
+            width: check.number(50, 10000),
+            height: check.number(50, 10000),
+            ball: check.object({
+                x: coord,
+                y: coord,
+                dx: check.number(-100, 100),
+                dy: check.number(-100, 100),
+                radius: check.number(1, 100)
+            }),
+            paddleLeft: paddle,
+            paddleRight: paddle,
+            playerLeft: playerId,
+            playerRight: playerId,
+            gameStarted: check.boolean(),
+            paused: check.boolean(),
+            lastUpdate: check.number(0, Number.MAX_SAFE_INTEGER),
+            // Both games
+            winner: check.nullable(check.oneOf('X', 'O', 'Draw', 'left', 'right'))
+        }
+    }
+};
+
+// Fields every element may carry. createdBy is set by the client that creates the
+// element (see checkCreatedBy), so every replica has the same value.
+const COMMON_FIELDS = {
+    createdBy: check.string(64)
+};
+
+// Fields that identify an element and cannot be changed by an update
+const IMMUTABLE_FIELDS = ['id', 'type', 'gameType', 'createdBy'];
+
+function checkObject(value, name) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) fail(`${name} must be an object`);
+    return value;
+}
+
+function checkElementId(id, name = 'id') {
+    if (typeof id !== 'string' || !ELEMENT_ID_PATTERN.test(id) || RESERVED_IDS.includes(id)) {
+        fail(`${name} is not a valid element id`);
+    }
+    return id;
+}
+
+function checkStamp(stamp) {
+    if (stamp === undefined) return undefined;
+    if (!Array.isArray(stamp) || stamp.length !== 2 ||
+        !Number.isSafeInteger(stamp[0]) || stamp[0] < 0 ||
+        typeof stamp[1] !== 'string' || stamp[1].length > 64) {
+        fail('stamp must be [counter, site]');
+    }
+    return stamp;
+}
+
+function checkFields(schema, source, target, name) {
+    Object.keys(source).forEach(key => {
+        const checker = ownValue(schema.fields, key) || ownValue(COMMON_FIELDS, key);
+        // Unknown and client-only fields are dropped, missing ones are optional
+        if (checker && source[key] !== undefined) {
+            target[key] = checker(source[key], `${name}.${key}`);
+        }
+    });
+    return target;
+}
+
+function validateElement(element, name = 'element') {
+    checkObject(element, name);
+    const schema = ownValue(ELEMENT_SCHEMAS, element.type);
+    if (!schema) {
+        throw new ValidationError(`unknown element type: ${String(element.type)}`, 'unknown_type');
+    }
+
+    const result = checkFields(schema, element, { id: checkElementId(element.id, `${name}.id`), type: element.type }, name);
+    const required = typeof schema.required === 'function' ? schema.required(element) : schema.required;
+    required.forEach(key => {
+        if (result[key] === undefined) fail(`${name}.${key} is missing`);
+    });
+    return result;
+}
+
+// A patch is checked against the schema of the element it changes
+function validatePatch(type, patch, name = 'patch') {
+    checkObject(patch, name);
+    IMMUTABLE_FIELDS.forEach(key => {
+        if (key in patch) fail(`${name}.${key} cannot be changed`);
+    });
+
+    const result = checkFields(ELEMENT_SCHEMAS[type], patch, {}, name);
+    if (Object.keys(result).length === 0) fail(`${name} contains no known fields`);
+    return result;
+}
+
+// A new element has to carry the sender's own id as author. An element that is
+// already on the board (even deleted) may keep its author: undoing a delete brings
+// back someone else's element as it was.
+function checkCreatedBy(roomId, element, socket, name) {
+    if (element.createdBy === undefined) return;
+    if (socket.data.user && element.createdBy === socket.data.user.id) return;
+    const room = roomStorage[roomId];
+    if (room && Object.hasOwn(room.board.entries, element.id)) return;
+    fail(`${name}.createdBy must be the id of the sender`);
+}
+
+// Validators per socket event. They return the cleaned payload, or null when the
+// payload is valid but moot (e.g. an update for an element someone just deleted).
+function checkRoomPayload(payload) {
+    checkObject(payload, 'payload');
+    if (!isValidRoomId(payload.room)) fail('room is not a valid room id');
+    return payload;
+}
+
+// Type of a visible element, or null if it does not exist (any more)
+function elementType(roomId, id) {
+    const room = roomStorage[roomId];
+    const element = room && BoardModel.getElement(room.board, id);
+    return element && ownValue(ELEMENT_SCHEMAS, element.type) ? element.type : null;
+}
+
+// element_add and element_update carry either one operation in the payload itself or
+// a batch in ops: [...] - a paste or a group move is a single event. Returns the
+// operations with the prefix for error messages.
+const MAX_BATCH_OPS = 1000;
+
+function batchOps(payload, fields) {
+    if (payload.ops === undefined) {
+        const op = {};
+        fields.forEach(field => { op[field] = payload[field]; });
+        return [{ op, name: '' }];
+    }
+    return check.array((op, name) => ({ op: checkObject(op, name), name: name + '.' }), 1, MAX_BATCH_OPS)(payload.ops, 'ops');
+}
+
+// Arrows attach to these; an arrow on itself or on another arrow would make the
+// clients recurse when they work out its ends
+const ARROW_TARGET_TYPES = ['sticky', 'text', 'image', 'shape'];
+
+// Check the startId / endId of an arrow (new or patched). Ends on elements that do
+// not exist (any more) are allowed - clients draw them as free ends. batchTypes has
+// the types of elements added together with the arrow.
+function checkArrowTargets(roomId, arrowId, fields, name, batchTypes = {}) {
+    ['startId', 'endId'].forEach(key => {
+        const targetId = fields[key];
+        if (targetId === undefined || targetId === null) return;
+        if (targetId === arrowId) fail(`${name}.${key} cannot point to the arrow itself`);
+        const type = ownValue(batchTypes, targetId) || elementType(roomId, targetId);
+        if (type && !ARROW_TARGET_TYPES.includes(type)) fail(`${name}.${key} cannot point to an element of type ${type}`);
+    });
+}
+
+const PAYLOAD_VALIDATORS = {
+    element_add(payload, socket) {
+        checkRoomPayload(payload);
+        const adds = batchOps(payload, ['element', 'stamp']).map(({ op, name }) => {
+            checkObject(op.element, name + 'element');
+            if (op.element.id === undefined) op.element.id = createElementId();
+            return { element: validateElement(op.element, name + 'element'), stamp: checkStamp(op.stamp), name };
+        });
+        // Arrows may attach to elements added in the same batch
+        const batchTypes = Object.create(null);
+        adds.forEach(({ element }) => { batchTypes[element.id] = element.type; });
+        adds.forEach(({ element, name }) => {
+            checkCreatedBy(payload.room, element, socket, name + 'element');
+            if (element.type === 'arrow') checkArrowTargets(payload.room, element.id, element, name + 'element', batchTypes);
+        });
+        checkRoomQuota(payload.room, adds.map(add => add.element));
+        return { room: payload.room, ops: adds.map(({ element, stamp }) => ({ element, stamp })) };
+    },
+    element_update(payload) {
+        checkRoomPayload(payload);
+        const room = roomStorage[payload.room];
+        const updates = [];
+        const changed = Object.create(null); // id -> element with all patches of the batch
+        batchOps(payload, ['id', 'patch', 'stamp']).forEach(({ op, name }) => {
+            const id = checkElementId(op.id, name + 'id');
+            const type = elementType(payload.room, id);
+            if (!type) return; // Deleted in the meantime
+            const patch = validatePatch(type, op.patch, name + 'patch');
+            if (type === 'arrow') checkArrowTargets(payload.room, id, patch, name + 'patch');
+            changed[id] = { ...(changed[id] || BoardModel.getElement(room.board, id)), ...patch };
+            updates.push({ id, patch, stamp: checkStamp(op.stamp) });
+        });
+        if (updates.length === 0) return null;
+        checkRoomQuota(payload.room, Object.values(changed));
+        return { room: payload.room, ops: updates };
+    },
+    element_delete(payload) {
+        checkRoomPayload(payload);
+        const ids = check.array((id, name) => checkElementId(id, name), 1, 10000)(payload.ids, 'ids');
+        return { room: payload.room, ids, stamp: checkStamp(payload.stamp) };
+    },
+    stroke_begin(payload) {
+        checkRoomPayload(payload);
+        const stroke = validateElement(payload.stroke, 'stroke');
+        if (stroke.type !== 'line') fail('stroke must be a line');
+        return { room: payload.room, stroke };
+    },
+    stroke_points(payload) {
+        checkRoomPayload(payload);
+        return { room: payload.room, id: checkElementId(payload.id), points: check.array(point, 1, MAX_POINTS)(payload.points, 'points') };
+    },
+    stroke_end(payload, socket) {
+        checkRoomPayload(payload);
+        const id = checkElementId(payload.id);
+        if (payload.element === undefined || payload.element === null) {
+            return { room: payload.room, id };
+        }
+        checkObject(payload.element, 'element');
+        const element = validateElement({ ...payload.element, id });
+        checkCreatedBy(payload.room, element, socket, 'element');
+        checkRoomQuota(payload.room, [element]);
+        return { room: payload.room, id, element, stamp: checkStamp(payload.stamp) };
+    },
+    chat_message(payload) {
+        checkRoomPayload(payload);
+        const text = check.string(2000)(payload.text, 'text').trim();
+        if (!text) fail('text is empty');
+        return { room: payload.room, text };
+    },
+    laser_pointer(payload) {
+        checkRoomPayload(payload);
+        checkObject(payload.laser, 'laser');
+        return {
+            room: payload.room,
+            laser: {
+                points: check.array(point, 1, MAX_POINTS)(payload.laser.points, 'laser.points'),
+                timestamp: check.number(0, Number.MAX_SAFE_INTEGER)(payload.laser.timestamp, 'laser.timestamp')
+            }
+        };
+    },
+    cursor_move(payload) {
+        checkRoomPayload(payload);
+        return { room: payload.room, x: coord(payload.x, 'x'), y: coord(payload.y, 'y') };
+    },
+    background_change(payload) {
+        checkRoomPayload(payload);
+        return { room: payload.room, background: check.oneOf(...BACKGROUNDS)(payload.background, 'background') };
+    },
+    // Invite / accept / update / end of the invite-based games. They are only relayed,
+    // so besides room and game type they carry at most a small state object.
+    game_invite(payload) {
+        return checkGameMessage(payload);
+    },
+    game_accept(payload) {
+        return checkGameMessage(payload);
+    },
+    game_update(payload) {
+        return checkGameMessage(payload);
+    },
+    game_end(payload) {
+        return checkGameMessage(payload);
+    },
+    game_move(payload) {
+        checkRoomPayload(payload);
+        const gameId = checkElementId(payload.gameId, 'gameId');
+        const type = elementType(payload.room, gameId);
+        if (!type) return null;
+        if (type !== 'game') fail(`${gameId} is not a game`);
+        const { id, ...patch } = checkObject(payload.game, 'game');
+        return { room: payload.room, gameId, game: validatePatch('game', patch, 'game'), stamp: checkStamp(payload.stamp) };
+    }
+};
+
+const MAX_GAME_STATE_BYTES = 16 * 1024;
+
+function checkGameMessage(payload) {
+    checkRoomPayload(payload);
+    const message = {
+        room: payload.room,
+        gameType: check.oneOf('tictactoe', 'pingpong')(payload.gameType, 'gameType')
+    };
+    if (payload.sender !== undefined) message.sender = check.string(64)(payload.sender, 'sender');
+    if (payload.gameId !== undefined) message.gameId = checkElementId(payload.gameId, 'gameId');
+    if (payload.state !== undefined) {
+        const state = checkObject(payload.state, 'state');
+        if (JSON.stringify(state).length > MAX_GAME_STATE_BYTES) fail('state is too large');
+        message.state = state;
+    }
+    return message;
+}
+
+function rejectPayload(socket, event, error) {
+    console.warn(`⚠️ Rejected ${event} from ${socket.id}: ${error.message}`);
+    socket.emit('error', { event, code: error.code, message: error.message });
+}
+
+// A bug in a validator or handler must not take the whole server down
+function failHandler(socket, event, error) {
+    console.error(`❌ ${event} from ${socket.id} failed:`, error);
+    socket.emit('error', { event, code: 'internal_error', message: 'The server could not process this event' });
+}
+
+// Register a handler that only ever sees validated payloads within the rate limits
+function onValidated(socket, event, handler) {
+    socket.on(event, (payload) => {
+        if (!takeToken(socket, event)) return;
+
+        let data;
+        try {
+            data = PAYLOAD_VALIDATORS[event](payload, socket);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                rejectPayload(socket, event, error);
+            } else {
+                failHandler(socket, event, error);
+            }
+            return;
+        }
+        if (!data) return;
+        try {
+            handler(data);
+        } catch (error) {
+            failHandler(socket, event, error);
+        }
+    });
+}
+
+// ========== RATE LIMITS & QUOTAS ==========
+// Every socket gets a token bucket per event type: `burst` events at once, refilled
+// with `rate` events per second. Throttled events are dropped and the client gets a
+// 'warning' event { event, code: 'rate_limited', message, retryAfter }.
+// Limits can be overridden with RATE_LIMITS='{"chat_message":{"rate":1,"burst":5}}'.
+const RATE_LIMITS = {
+    join_room: { rate: 1, burst: 5 },
+    request_board: { rate: 1, burst: 3 },
+    user_rename: { rate: 1, burst: 5 },
+    element_add: { rate: 20, burst: 60 },
+    element_update: { rate: 30, burst: 90 },
+    element_delete: { rate: 10, burst: 30 },
+    stroke_begin: { rate: 10, burst: 20 },
+    stroke_points: { rate: 40, burst: 80 },
+    stroke_end: { rate: 10, burst: 20 },
+    cursor_move: { rate: 30, burst: 60 },
+    game_move: { rate: 120, burst: 240 }, // Ping Pong syncs every frame (~62/s) plus paddle drags
+    chat_message: { rate: 2, burst: 10 },
+    laser_pointer: { rate: 5, burst: 20 },
+    background_change: { rate: 2, burst: 5 },
+    game_invite: { rate: 1, burst: 5 },
+    game_accept: { rate: 1, burst: 5 },
+    game_update: { rate: 20, burst: 40 },
+    game_end: { rate: 1, burst: 5 },
+    ...readJsonEnv('RATE_LIMITS')
+};
+
+// Per-room quotas for the stored board
+const MAX_ROOM_ELEMENTS = Number(process.env.MAX_ROOM_ELEMENTS) || 5000;
+const MAX_ROOM_BYTES = Number(process.env.MAX_ROOM_BYTES) || 20 * 1024 * 1024;
+
+function readJsonEnv(name) {
+    if (!process.env[name]) return {};
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.error(`❌ Ignoring invalid ${name}:`, error.message);
+        return {};
+    }
+}
+
+function takeToken(socket, event) {
+    const limit = RATE_LIMITS[event];
+    if (!limit) return true;
+
+    const now = Date.now();
+    const buckets = socket.data.buckets || (socket.data.buckets = {});
+    const bucket = buckets[event] || (buckets[event] = { tokens: limit.burst, last: now, warned: 0 });
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.last) / 1000 * limit.rate);
+    bucket.last = now;
+
+    if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // Warn at most once per second - the warnings must not become a flood themselves
+    if (now - bucket.warned > 1000) {
+        bucket.warned = now;
+        const retryAfter = Math.ceil((1 - bucket.tokens) / limit.rate * 1000);
+        console.warn(`🚦 Throttling ${event} from ${socket.id}`);
+        socket.emit('warning', { event, code: 'rate_limited', message: `Too many ${event} events`, retryAfter });
+    }
+    return false;
+}
+
+// Stored size of every visible element per room, kept up to date with each operation
+const roomUsage = Object.create(null);
+
+function elementBytes(element) {
+    return Buffer.byteLength(JSON.stringify(element));
+}
+
+function measureRoom(roomId) {
+    const usage = { sizes: new Map(), bytes: 0 };
+    roomElements(roomStorage[roomId]).forEach(element => {
+        const bytes = elementBytes(element);
+        usage.sizes.set(element.id, bytes);
+        usage.bytes += bytes;
+    });
+    roomUsage[roomId] = usage;
+}
+
+function trackRoomUsage(roomId, op) {
+    const usage = roomUsage[roomId];
+    if (!usage) return;
+
+    let ids = [];
+    if (op.type === 'add') ids = [op.element.id];
+    else if (op.type === 'update') ids = [op.id];
+    else if (op.type === 'delete') ids = op.ids;
+
+    ids.forEach(id => {
+        const element = BoardModel.getElement(roomStorage[roomId].board, id);
+        const bytes = element ? elementBytes(element) : 0;
+        usage.bytes += bytes - (usage.sizes.get(id) || 0);
+        if (element) {
+            usage.sizes.set(id, bytes);
+        } else {
+            usage.sizes.delete(id);
+        }
+    });
+}
+
+// Reject elements (new or changed) that would push the room over its quota.
+// Changes that make the board smaller are always allowed.
+function checkRoomQuota(roomId, elements) {
+    const usage = roomUsage[roomId];
+    if (!usage) return;
+
+    let added = 0;
+    let bytes = usage.bytes;
+    elements.forEach(element => {
+        const previous = usage.sizes.get(element.id);
+        if (previous === undefined) added++;
+        bytes += elementBytes(element) - (previous || 0);
+    });
+    if (added > 0 && usage.sizes.size + added > MAX_ROOM_ELEMENTS) {
+        throw new ValidationError(`room is full (${MAX_ROOM_ELEMENTS} elements)`, 'quota_exceeded');
+    }
+    if (bytes > usage.bytes && bytes > MAX_ROOM_BYTES) {
+        throw new ValidationError(`room is full (${MAX_ROOM_BYTES} bytes)`, 'quota_exceeded');
+    }
+}
+
+// ========== EXPORT & IMPORT ==========
+// A board can be exported as one JSON bundle and imported again, on this or another
+// deployment. Upload files travel inline as base64, so the bundle is self-contained.
+//   { format, version, exportedAt, room, background, elements: [...], chat: [...],
+//     files: { "<name>": { mime, data } }, missingFiles: [...] }
+const EXPORT_FORMAT = 'adhdboard-export';
+const EXPORT_VERSION = 1;
+
+// Export a board. ?files=false leaves out the upload files.
+app.get('/api/rooms/:roomId/export', (req, res) => {
+    const roomId = req.params.roomId;
+    if (!isValidRoomId(roomId) || !listRoomIds().includes(roomId)) {
+        return res.status(404).json({ error: 'Board not found' });
+    }
+
+    const room = loadRoom(roomId);
+    const elements = roomElements(room);
+    const files = {};
+    const missingFiles = [];
+
+    if (req.query.files !== 'false') {
+        uploadsReferencedBy(elements).forEach(file => {
+            const filePath = path.join(uploadsDir, file);
+            if (!fs.existsSync(filePath)) {
+                missingFiles.push(file);
+                return;
+            }
+            const buffer = fs.readFileSync(filePath);
+            const type = detectUploadType(buffer);
+            files[file] = { mime: type ? type.mime : 'application/octet-stream', data: buffer.toString('base64') };
+        });
+    }
+
+    console.log(`📦 Exported room ${roomId} (${elements.length} elements, ${Object.keys(files).length} files)`);
+    res.set('Content-Disposition', `attachment; filename="board-${roomId}.json"`);
+    res.json({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        room: roomId,
+        background: room.background,
+        elements,
+        chat: room.chat,
+        files,
+        missingFiles
+    });
+});
+
+// Elements of an import body: an export bundle, a saved board-model state ({ board })
+// or a plain roomStorage-style { elements: [...] } for seeding demo boards
+function importedElements(bundle) {
+    if (bundle.format !== undefined && (bundle.format !== EXPORT_FORMAT || bundle.version !== EXPORT_VERSION)) {
+        fail(`unsupported bundle format ${bundle.format} v${bundle.version}`);
+    }
+    if (bundle.board !== undefined) {
+        const board = checkObject(bundle.board, 'board');
+        checkObject(board.entries, 'board.entries');
+        Object.keys(board.entries).forEach(id => {
+            const entry = checkObject(board.entries[id], `board.entries.${id}`);
+            checkObject(entry.value, `board.entries.${id}.value`);
+        });
+        return BoardModel.elements(BoardModel.fromJSON(board));
+    }
+    if (!Array.isArray(bundle.elements)) fail('elements must be an array');
+    return bundle.elements;
+}
+
+// Store the bundle's files content-addressed; returns old URL -> new URL
+function importUploadFiles(files) {
+    const urlMap = {};
+    Object.keys(files || {}).forEach(name => {
+        const file = checkObject(files[name], `files.${name}`);
+        const buffer = Buffer.from(check.string(Infinity)(file.data, `files.${name}.data`), 'base64');
+        const type = detectUploadType(buffer);
+        if (!type) fail(`files.${name} is not an image or PDF`);
+
+        const filename = crypto.createHash('sha256').update(buffer).digest('hex') + type.extension;
+        storeUploadFile(filename, buffer);
+        urlMap['/uploads/' + name] = '/uploads/' + filename;
+    });
+    return urlMap;
+}
+
+function rewriteUploadUrls(element, urlMap) {
+    const rewrite = (url) => urlMap[relativeUploadUrl(url)] || url;
+    if (element.data) element.data = rewrite(element.data);
+    Object.keys(element.variants || {}).forEach(size => {
+        element.variants[size] = rewrite(element.variants[size]);
+    });
+    return element;
+}
+
+function importedChat(chat) {
+    if (!Array.isArray(chat)) return [];
+    return chat
+        .filter(entry => entry && typeof entry.text === 'string')
+        .map(entry => ({
+            text: entry.text.slice(0, 2000),
+            senderId: typeof entry.senderId === 'string' ? entry.senderId : null,
+            senderName: typeof entry.senderName === 'string' ? entry.senderName.slice(0, 32) : undefined,
+            senderColor: typeof entry.senderColor === 'string' ? entry.senderColor : undefined,
+            timestamp: Number.isFinite(entry.timestamp) ? entry.timestamp : Date.now()
+        }));
+}
+
+// Recreate a board from a bundle. A board that already has content is only
+// overwritten with ?replace=true. Needs ADMIN_TOKEN like the other admin endpoints.
+app.post('/api/rooms/:roomId/import', requireAdmin, express.json({ limit: '200mb' }), (req, res) => {
+    const roomId = req.params.roomId;
+    if (!isValidRoomId(roomId)) {
+        return res.status(400).json({ error: 'Invalid room id' });
+    }
+
+    // A rejected import must not leave an empty room behind, so the room is only
+    // loaded (or created) once the bundle passed
+    if (roomElements(peekRoom(roomId)).length > 0 && req.query.replace !== 'true') {
+        return res.status(409).json({ error: 'Board is not empty - use ?replace=true to overwrite it' });
+    }
+
+    let elements, chat, background, urlMap;
+    try {
+        const bundle = checkObject(req.body, 'bundle');
+        elements = importedElements(bundle).map((element, i) => {
+            checkObject(element, `elements[${i}]`);
+            return validateElement({ ...element, id: element.id || createElementId() }, `elements[${i}]`);
+        });
+        if (elements.length > MAX_ROOM_ELEMENTS) {
+            throw new ValidationError(`too many elements (max ${MAX_ROOM_ELEMENTS})`, 'quota_exceeded');
+        }
+        if (elements.reduce((sum, element) => sum + elementBytes(element), 0) > MAX_ROOM_BYTES) {
+            throw new ValidationError(`board too large (max ${MAX_ROOM_BYTES} bytes)`, 'quota_exceeded');
+        }
+        chat = importedChat(bundle.chat);
+        background = BACKGROUNDS.includes(bundle.background) ? bundle.background : 'dots';
+        urlMap = importUploadFiles(bundle.files);
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        return res.status(error.code === 'quota_exceeded' ? 413 : 400).json({ error: error.message });
+    }
+
+    const room = loadRoom(roomId);
+    if (roomElements(room).length > 0) {
+        saveRevision(roomId, 'import');
+    }
+    replaceRoomElements(roomId, elements.map(element => rewriteUploadUrls(element, urlMap)));
+    recordRoomOp(roomId, { type: 'chat_reset', entries: chat });
+    recordRoomOp(roomId, { type: 'background', background });
+    flushRoomLog(roomId);
+    writeRoomSnapshot(roomId);
+
+    // Everyone on the board gets the imported state
+    io.to(roomId).emit('canvas_data', room.board);
+    io.to(roomId).emit('chat_history', room.chat);
+    io.to(roomId).emit('background_updated', room.background);
+
+    console.log(`📥 Imported room ${roomId} (${elements.length} elements, ${Object.keys(urlMap).length} files)`);
+    res.json({
+        success: true,
+        room: roomId,
+        url: '/r/' + roomId,
+        elements: elements.length,
+        files: Object.keys(urlMap).length
+    });
+});
+
+// ========== HISTORY ==========
+// Earlier states of a board are kept as revisions, so an accidental "clear all" or a
+// bad import can be undone for everybody. A revision is saved
+//   - every HISTORY_INTERVAL while the board changes,
+//   - right before a destructive operation (deleting many or all elements, import, restore),
+//   - on request as a named restore point.
+// Revisions live in data/history/<room>/<revision>.json, with an index.json per room
+// listing them. Only the newest HISTORY_LIMIT unnamed revisions are kept; named
+// restore points stay until they are deleted.
+const historyDir = path.join(dataDir, 'history');
+const HISTORY_INTERVAL = Number(process.env.HISTORY_INTERVAL) || 10 * 60 * 1000;   // Revision every 10 minutes of activity
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 50;                      // Unnamed revisions kept per room
+const DESTRUCTIVE_DELETE_COUNT = 10;   // Deleting this many elements at once saves a revision first
+const HISTORY_REASONS = ['auto', 'delete', 'import', 'restore', 'manual'];
+const REVISION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Revision index per room, oldest first: [{ id, createdAt, reason, name, elements, uploads, hash }]
+const historyIndexes = Object.create(null);
+
+function roomHistoryDir(roomId) {
+    return path.join(historyDir, encodeURIComponent(String(roomId)));
+}
+
+function loadHistoryIndex(roomId) {
+    if (!historyIndexes[roomId]) {
+        try {
+            historyIndexes[roomId] = JSON.parse(fs.readFileSync(path.join(roomHistoryDir(roomId), 'index.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Could not read history of room ${roomId}:`, error.message);
+            }
+            historyIndexes[roomId] = [];
+        }
+    }
+    return historyIndexes[roomId];
+}
+
+function writeHistoryIndex(roomId) {
+    const indexPath = path.join(roomHistoryDir(roomId), 'index.json');
+    fs.writeFileSync(indexPath + '.tmp', JSON.stringify(historyIndexes[roomId]));
+    fs.renameSync(indexPath + '.tmp', indexPath);
+}
+
+// What the API shows of a revision
+function revisionSummary(revision) {
+    return {
+        id: revision.id,
+        createdAt: revision.createdAt,
+        reason: revision.reason,
+        name: revision.name,
+        elements: revision.elements
+    };
+}
+
+// Save the current state of a loaded room. Unnamed revisions are skipped when nothing
+// changed since the last one (or the board is empty); returns the revision or null.
+function saveRevision(roomId, reason, name = null) {
+    const room = roomStorage[roomId];
+    if (!room) return null;
+
+    const elements = roomElements(room);
+    const content = JSON.stringify({ elements, background: room.background });
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const index = loadHistoryIndex(roomId);
+    const last = index[index.length - 1];
+    if (!name && (elements.length === 0 || (last && last.hash === hash))) return null;
+
+    const revision = {
+        id: createElementId(),
+        createdAt: Date.now(),
+        reason,
+        name,
+        elements: elements.length,
+        uploads: Array.from(uploadsReferencedBy(elements)),
+        hash
+    };
+
+    try {
+        fs.mkdirSync(roomHistoryDir(roomId), { recursive: true });
+        fs.writeFileSync(path.join(roomHistoryDir(roomId), revision.id + '.json'), content);
+        index.push(revision);
+        pruneHistory(roomId);
+        writeHistoryIndex(roomId);
+    } catch (error) {
+        console.error(`❌ Could not save revision of room ${roomId}:`, error.message);
+        return null;
+    }
+    console.log(`🕓 Saved ${reason} revision of room ${roomId} (${elements.length} elements)`);
+    return revision;
+}
+
+// Drop the oldest unnamed revisions beyond HISTORY_LIMIT
+function pruneHistory(roomId) {
+    const index = loadHistoryIndex(roomId);
+    let excess = index.filter(revision => !revision.name).length - HISTORY_LIMIT;
+    historyIndexes[roomId] = index.filter(revision => {
+        if (excess <= 0 || revision.name) return true;
+        excess--;
+        fs.rmSync(path.join(roomHistoryDir(roomId), revision.id + '.json'), { force: true });
+        return false;
+    });
+}
+
+function readRevision(roomId, revisionId) {
+    const revision = loadHistoryIndex(roomId).find(entry => entry.id === revisionId);
+    if (!revision) return null;
+    const content = JSON.parse(fs.readFileSync(path.join(roomHistoryDir(roomId), revision.id + '.json'), 'utf8'));
+    return { ...revisionSummary(revision), elements: content.elements, background: content.background };
+}
+
+// Save a revision before a delete that removes many elements or empties the board
+function saveRevisionBeforeDelete(roomId, ids) {
+    const room = roomStorage[roomId];
+    const visible = roomElements(room).length;
+    const deleted = ids.filter(id => BoardModel.hasElement(room.board, id)).length;
+    if (deleted >= DESTRUCTIVE_DELETE_COUNT || (deleted > 0 && deleted === visible)) {
+        saveRevision(roomId, 'delete');
+    }
+}
+
+// Upload files referenced by any revision of any room, so the sweep keeps them
+function uploadsReferencedByHistory(referenced = new Set()) {
+    if (!fs.existsSync(historyDir)) return referenced;
+    fs.readdirSync(historyDir).forEach(dir => {
+        loadHistoryIndex(decodeURIComponent(dir)).forEach(revision => {
+            revision.uploads.forEach(file => referenced.add(file));
+        });
+    });
+    return referenced;
+}
+
+// Replace the visible elements of a loaded room. Restored elements keep their ids,
+// so elements that were deleted come back in their old z-order.
+function replaceRoomElements(roomId, elements) {
+    const room = roomStorage[roomId];
+    const existing = roomElements(room).map(element => element.id);
+    if (existing.length > 0) {
+        recordRoomOp(roomId, { type: 'delete', ids: existing, stamp: serverStamp(room) });
+    }
+    elements.forEach(element => {
+        recordRoomOp(roomId, { type: 'add', element, stamp: serverStamp(room) });
+    });
+}
+
+// Time-based revisions for rooms that changed since their last revision
+setInterval(() => {
+    const now = Date.now();
+    Object.keys(roomPersistence).forEach(roomId => {
+        const room = roomStorage[roomId];
+        const index = loadHistoryIndex(roomId);
+        const lastAt = index.length > 0 ? index[index.length - 1].createdAt : 0;
+        if (room.lastActivity > lastAt && now - lastAt >= HISTORY_INTERVAL) {
+            saveRevision(roomId, 'auto');
+        }
+    });
+}, Math.min(HISTORY_INTERVAL, 60 * 1000)).unref();
+
+function historyRoom(req, res) {
+    const roomId = req.params.roomId;
+    if (!isValidRoomId(roomId) || !listRoomIds().includes(roomId)) {
+        res.status(404).json({ error: 'Board not found' });
+        return null;
+    }
+    return roomId;
+}
+
+// Revisions of a board, newest first
+app.get('/api/rooms/:roomId/history', (req, res) => {
+    const roomId = historyRoom(req, res);
+    if (!roomId) return;
+    res.json({ revisions: loadHistoryIndex(roomId).map(revisionSummary).reverse() });
+});
+
+// One revision with its elements, for the preview
+app.get('/api/rooms/:roomId/history/:revisionId', (req, res) => {
+    const roomId = historyRoom(req, res);
+    if (!roomId) return;
+    const revision = REVISION_ID_PATTERN.test(req.params.revisionId) && readRevision(roomId, req.params.revisionId);
+    if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+});
+
+// Save a named restore point of the current state: { name }
+app.post('/api/rooms/:roomId/history', express.json(), (req, res) => {
+    const roomId = historyRoom(req, res);
+    if (!roomId) return;
+
+    const name = req.body && typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 64) : '';
+    if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    loadRoom(roomId);
+    const revision = saveRevision(roomId, 'manual', name);
+    if (!revision) {
+        return res.status(500).json({ error: 'Could not save revision' });
+    }
+    res.json(revisionSummary(revision));
+});
+
+// Delete a revision (named restore points are only removed this way). Admin only,
+// so nobody in a room can take away the others' way back. Restores stay open to
+// everyone: they save the current state first and can be undone the same way.
+app.delete('/api/rooms/:roomId/history/:revisionId', requireAdmin, (req, res) => {
+    const roomId = historyRoom(req, res);
+    if (!roomId) return;
+
+    const index = loadHistoryIndex(roomId);
+    const position = index.findIndex(revision => revision.id === req.params.revisionId);
+    if (position === -1) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    const [revision] = index.splice(position, 1);
+    fs.rmSync(path.join(roomHistoryDir(roomId), revision.id + '.json'), { force: true });
+    writeHistoryIndex(roomId);
+    res.json({ success: true });
+});
+
+// Put a board back to a revision for everybody. The current state is saved first,
+// so a restore can itself be undone. Body: { by } - the name shown to the others.
+app.post('/api/rooms/:roomId/history/:revisionId/restore', express.json(), (req, res) => {
+    const roomId = historyRoom(req, res);
+    if (!roomId) return;
+
+    const room = loadRoom(roomId);
+    const revision = REVISION_ID_PATTERN.test(req.params.revisionId) && readRevision(roomId, req.params.revisionId);
+    if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    saveRevision(roomId, 'restore');
+    replaceRoomElements(roomId, revision.elements);
+    if (BACKGROUNDS.includes(revision.background)) {
+        recordRoomOp(roomId, { type: 'background', background: revision.background });
+    }
+    flushRoomLog(roomId);
+    writeRoomSnapshot(roomId);
+
+    const summary = { ...revisionSummary(revision), elements: revision.elements.length };
+    const by = req.body && typeof req.body.by === 'string' ? req.body.by.slice(0, 32) : null;
+    io.to(roomId).emit('canvas_data', room.board);
+    io.to(roomId).emit('background_updated', room.background);
+    io.to(roomId).emit('history_restored', { revision: summary, by });
+
+    console.log(`⏪ Restored room ${roomId} to revision ${revision.id} (${summary.elements} elements)`);
+    res.json({ success: true, revision: summary });
+});
+
+// ========== PRESENCE ==========
+// Who is online, per room and per connection. A participant is identified by the
+// client id stored in their browser, so the same person keeps their name across reloads.
+const roomPresence = Object.create(null);
+const DEFAULT_USER_COLOR = '#0095f6';
+
+function sanitizeUser(user) {
+    user = user || {};
+    const name = typeof user.name === 'string' ? user.name.trim().slice(0, 32) : '';
+    return {
+        id: typeof user.id === 'string' && user.id ? user.id.slice(0, 64) : null,
+        name: name || 'Gast',
+        color: /^#[0-9a-fA-F]{6}$/.test(user.color) ? user.color : DEFAULT_USER_COLOR
+    };
+}
+
+function presenceList(roomId) {
+    return Object.values(roomPresence[roomId] || {});
+}
+
+function addPresence(roomId, socket, user) {
+    const entry = { sessionId: socket.id, ...user };
+    if (!roomPresence[roomId]) roomPresence[roomId] = {};
+    roomPresence[roomId][socket.id] = entry;
+    return entry;
+}
+
+function removePresence(roomId, socketId) {
+    const members = roomPresence[roomId];
+    if (!members || !members[socketId]) return null;
+    const entry = members[socketId];
+    delete members[socketId];
+    if (Object.keys(members).length === 0) delete roomPresence[roomId];
+    return entry;
+}
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log(`User connected: ${socket.id}`);
 
-    // Join a room
-    socket.on('join_room', (roomId) => {
-        socket.join(roomId);
-        console.log(`User ${socket.id} joined room ${roomId}`);
-
-        // Initialize room if it doesn't exist
-        if (!roomStorage[roomId]) {
-            roomStorage[roomId] = {
-                elements: [],
-                chat: [],
-                background: 'dots'
-            };
+    // Join a room - { roomId, user: { id, name, color } }. Older clients send just the room id.
+    socket.on('join_room', (payload) => {
+        if (!takeToken(socket, 'join_room')) return;
+        const isObject = payload !== null && typeof payload === 'object';
+        const roomId = String(isObject ? payload.roomId : payload);
+        if (!isValidRoomId(roomId)) {
+            console.warn(`⚠️ Rejected invalid room id from ${socket.id}`);
+            return;
+        }
+
+        const previousRoom = socket.data.roomId;
+        if (previousRoom && previousRoom !== roomId) {
+            socket.leave(previousRoom);
+            if (removePresence(previousRoom, socket.id)) {
+                socket.to(previousRoom).emit('user_left', { sessionId: socket.id });
+            }
         }
 
+        const user = sanitizeUser(isObject ? payload.user : null);
+        if (!user.id) user.id = socket.id;
+        socket.data.roomId = roomId;
+        socket.data.user = user;
+
+        socket.join(roomId);
+        console.log(`User ${socket.id} (${user.name}) joined room ${roomId}`);
+
+        const entry = addPresence(roomId, socket, user);
+        socket.emit('presence_list', presenceList(roomId));
+        socket.to(roomId).emit('user_joined', entry);
+
+        // Load room from disk (or create it) on first join
+        const room = loadRoom(roomId);
+
         // Send existing canvas data and chat history
-        socket.emit('canvas_data', roomStorage[roomId].elements);
-        socket.emit('chat_history', roomStorage[roomId].chat);
-        socket.emit('background_updated', roomStorage[roomId].background || 'dots');
+        socket.emit('canvas_data', room.board);
+        socket.emit('chat_history', room.chat);
+        socket.emit('background_updated', room.background || 'dots');
     });
 
-    // Handle new drawing element
-    socket.on('new_element', (payload) => {
-        const { room, element } = payload;
+    // Element operations carry a stamp from the sender's board model; they are applied
+    // here and relayed unchanged, so every replica merges them the same way.
+
+    // Handle new drawing elements (one or a batch)
+    onValidated(socket, 'element_add', (payload) => {
+        const { room, ops } = payload;
         if (roomStorage[room]) {
-            roomStorage[room].elements.push(element);
-            socket.to(room).emit('element_received', element);
-            console.log(`New element added to room ${room}, type: ${element.type}`);
+            const relayed = ops.map(({ element, stamp }) => {
+                const opStamp = stamp || serverStamp(roomStorage[room]);
+                recordRoomOp(room, { type: 'add', element, stamp: opStamp });
+                return { element, stamp: opStamp };
+            });
+            socket.to(room).emit('element_add', { ops: relayed });
+            console.log(`${ops.length} element(s) added to room ${room}`);
         }
     });
 
-    // Handle full canvas sync (for clear/delete operations)
-    socket.on('full_sync', (payload) => {
-        const { room, data } = payload;
+    // Live strokes: relayed while drawing, stored only when finished.
+    // stroke_end carries the final element and is committed like element_add;
+    // without an element the stroke was cancelled.
+    onValidated(socket, 'stroke_begin', (payload) => {
+        const { room, stroke } = payload;
         if (roomStorage[room]) {
-            roomStorage[room].elements = data;
-            socket.to(room).emit('canvas_data', data);
-            console.log(`Full sync for room ${room}, elements: ${data.length}`);
+            socket.to(room).emit('stroke_begin', { sessionId: socket.id, stroke });
+        }
+    });
+
+    onValidated(socket, 'stroke_points', (payload) => {
+        const { room, id, points } = payload;
+        if (roomStorage[room]) {
+            socket.to(room).emit('stroke_points', { id, points });
+        }
+    });
+
+    onValidated(socket, 'stroke_end', (payload) => {
+        const { room, id, element } = payload;
+        if (!roomStorage[room]) return;
+
+        if (!element) {
+            socket.to(room).emit('stroke_end', { id });
+            return;
+        }
+
+        const stamp = payload.stamp || serverStamp(roomStorage[room]);
+        recordRoomOp(room, { type: 'add', element, stamp });
+        socket.to(room).emit('stroke_end', { id, element, stamp });
+        console.log(`Stroke finished in room ${room}, type: ${element.type}`);
+    });
+
+    // Handle partial element changes (move, resize, ...) - one or a batch
+    onValidated(socket, 'element_update', (payload) => {
+        const { room, ops } = payload;
+        if (roomStorage[room]) {
+            const relayed = ops.map(({ id, patch, stamp }) => {
+                const opStamp = stamp || serverStamp(roomStorage[room]);
+                recordRoomOp(room, { type: 'update', id, patch, stamp: opStamp });
+                return { id, patch, stamp: opStamp };
+            });
+            socket.to(room).emit('element_update', { ops: relayed });
+        }
+    });
+
+    // Handle element deletion (eraser, long-press delete, clear all)
+    onValidated(socket, 'element_delete', (payload) => {
+        const { room, ids } = payload;
+        if (roomStorage[room]) {
+            const stamp = payload.stamp || serverStamp(roomStorage[room]);
+            saveRevisionBeforeDelete(room, ids);
+            recordRoomOp(room, { type: 'delete', ids, stamp });
+            socket.to(room).emit('element_delete', { ids, stamp });
+            console.log(`Deleted ${ids.length} elements in room ${room}`);
         }
     });
 
     // Handle chat messages
-    socket.on('chat_message', (payload) => {
+    onValidated(socket, 'chat_message', (payload) => {
         const { room, text } = payload;
         if (roomStorage[room]) {
+            const user = socket.data.user || sanitizeUser({ id: socket.id });
             const chatEntry = {
                 text: text,
-                senderId: socket.id,
+                senderId: user.id,
+                senderName: user.name,
+                senderColor: user.color,
                 timestamp: Date.now()
             };
-            roomStorage[room].chat.push(chatEntry);
+            recordRoomOp(room, { type: 'chat', entry: chatEntry });
             socket.to(room).emit('chat_received', chatEntry);
             console.log(`Chat message in room ${room}: ${text}`);
         }
     });
 
     // Handle laser pointer (real-time, not stored)
-    socket.on('laser_pointer', (payload) => {
+    onValidated(socket, 'laser_pointer', (payload) => {
         const { room, laser } = payload;
         if (roomStorage[room]) {
             socket.to(room).emit('laser_received', laser);
@@ -126,11 +1956,19 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle pointer positions for live cursors (real-time, not stored)
+    onValidated(socket, 'cursor_move', (payload) => {
+        const { room, x, y } = payload;
+        if (roomStorage[room]) {
+            socket.volatile.to(room).emit('cursor_moved', { sessionId: socket.id, x, y });
+        }
+    });
+
     // Handle background change
-    socket.on('background_change', (payload) => {
+    onValidated(socket, 'background_change', (payload) => {
         const { room, background } = payload;
         if (roomStorage[room]) {
-            roomStorage[room].background = background;
+            recordRoomOp(room, { type: 'background', background });
             socket.to(room).emit('background_updated', background);
             console.log(`Background changed in room ${room}: ${background}`);
         }
@@ -139,7 +1977,7 @@ io.on('connection', (socket) => {
     // ========== GAME SOCKET EVENTS ==========
     
     // Handle game invites
-    socket.on('game_invite', (payload) => {
+    onValidated(socket, 'game_invite', (payload) => {
         const { room, gameType, sender } = payload;
         console.log(`🎮 Game invite sent - Room: ${room}, Game: ${gameType}, From: ${sender}`);
         
@@ -147,16 +1985,19 @@ io.on('connection', (socket) => {
     });
 
     // Handle game accept
-    socket.on('game_accept', (payload) => {
+    onValidated(socket, 'game_accept', (payload) => {
         const { room, gameType, sender } = payload;
         console.log(`✅ Game accepted - Room: ${room}, Game: ${gameType}`);
         
-        // Notify sender that game was accepted
-        io.to(sender).emit('game_accept', payload);
+        // Notify sender that game was accepted - only someone in the same room
+        const inviter = sender && io.sockets.sockets.get(sender);
+        if (inviter && inviter.rooms.has(room) && socket.rooms.has(room)) {
+            inviter.emit('game_accept', payload);
+        }
     });
 
     // Handle game updates (moves, state changes)
-    socket.on('game_update', (payload) => {
+    onValidated(socket, 'game_update', (payload) => {
         const { room, gameType } = payload;
         console.log(`🔄 Game update - Room: ${room}, Game: ${gameType}`);
         
@@ -164,7 +2005,7 @@ io.on('connection', (socket) => {
     });
 
     // Handle game end
-    socket.on('game_end', (payload) => {
+    onValidated(socket, 'game_end', (payload) => {
         const { room, gameType } = payload;
         console.log(`🏁 Game ended - Room: ${room}, Game: ${gameType}`);
         
@@ -172,25 +2013,56 @@ io.on('connection', (socket) => {
     });
 
     // Handle old game moves (for canvas-based games - kept for backward compatibility)
-    socket.on('game_move', (payload) => {
-        const { room, gameIndex, game } = payload;
-        console.log(`📥 Received game move - Room: ${room}, Index: ${gameIndex}`);
+    // The game object only contains the fields that changed.
+    onValidated(socket, 'game_move', (payload) => {
+        const { room, gameId, game } = payload;
 
         if (roomStorage[room]) {
-            // Update the game in storage
-            if (roomStorage[room].elements[gameIndex]) {
-                roomStorage[room].elements[gameIndex] = game;
-                console.log(`✅ Updated game in storage at index ${gameIndex}`);
+            const stamp = payload.stamp || serverStamp(roomStorage[room]);
+            const op = { type: 'update', id: gameId, patch: game, stamp };
+            // Ball and paddle positions stay in memory; scores, winner and the rest are logged
+            if (isGameFrame(roomStorage[room], gameId, game)) {
+                applyTransientRoomOp(room, op);
+            } else {
+                recordRoomOp(room, op);
             }
 
             // Broadcast to other players in room
-            socket.to(room).emit('game_move_received', { gameIndex, game });
+            socket.to(room).emit('game_move_received', { gameId, game, stamp });
         }
     });
 
+    // Current board of the joined room, for a client whose copy diverged (a rejected or
+    // throttled change). Unlike join_room it does not announce the user again.
+    socket.on('request_board', () => {
+        if (!takeToken(socket, 'request_board')) return;
+        const roomId = socket.data.roomId;
+        if (!roomId || !roomStorage[roomId]) return;
+        socket.emit('canvas_data', roomStorage[roomId].board);
+    });
+
+    // Change of display name or color
+    socket.on('user_rename', (payload) => {
+        if (!takeToken(socket, 'user_rename')) return;
+        const roomId = socket.data.roomId;
+        const entry = roomId && roomPresence[roomId] && roomPresence[roomId][socket.id];
+        if (!entry) return;
+
+        const user = sanitizeUser({ ...payload, id: entry.id });
+        entry.name = user.name;
+        entry.color = user.color;
+        socket.data.user = user;
+        io.to(roomId).emit('user_updated', entry);
+        console.log(`✏️ ${socket.id} is now called ${user.name}`);
+    });
+
     // Handle disconnection
     socket.on('disconnect', () => {
         console.log(`User disconnected: ${socket.id}`);
+        const roomId = socket.data.roomId;
+        if (roomId && removePresence(roomId, socket.id)) {
+            socket.to(roomId).emit('user_left', { sessionId: socket.id });
+        }
     });
 });
 
@@ -200,4 +2072,5 @@ server.listen(PORT, '0.0.0.0', () => {
     console.log(`✅ Server läuft auf Port ${PORT}`);
     console.log(`📱 Zugriff über: http://localhost:${PORT}`);
     console.log(`📁 Uploads Verzeichnis: ${uploadsDir}`);
+    console.log(`💾 Daten Verzeichnis: ${dataDir}`);
 });